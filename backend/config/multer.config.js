@@ -1,28 +1,28 @@
+import crypto from "crypto";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
-import { fileURLToPath } from "url";
+import { AppError, ValidationError } from "../utils/errors.js";
+import { getStorage } from "../services/storage/index.js";
 
 // ==================== CONSTANTS ====================
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Upload directory paths
-const UPLOAD_DIRS = {
-  profiles: path.join(process.cwd(), "uploads", "profiles"),
-  documents: path.join(process.cwd(), "uploads", "documents")
-};
-
 // File size limits (in bytes)
-const FILE_SIZE_LIMITS = {
+export const FILE_SIZE_LIMITS = {
   profile: 5 * 1024 * 1024,    // 5MB
   document: 50 * 1024 * 1024   // 50MB
 };
 
+// Size limit of each upload field, to report the right one when it is exceeded
+const FIELD_SIZE_LIMITS = {
+  profileImage: FILE_SIZE_LIMITS.profile,
+  document: FILE_SIZE_LIMITS.document
+};
+
 // Allowed file types
 const ALLOWED_IMAGE_TYPES = {
-  extensions: /jpeg|jpg|png|gif|webp/,
+  label: "JPEG, PNG, GIF and WebP",
+  extensions: /^\.(jpe?g|png|gif|webp)$/,
   mimeTypes: [
     "image/jpeg",
     "image/jpg",
@@ -33,7 +33,8 @@ const ALLOWED_IMAGE_TYPES = {
 };
 
 const ALLOWED_DOCUMENT_TYPES = {
-  extensions: /pdf|doc|docx|txt|ppt|pptx/,
+  label: "PDF, DOC, DOCX, TXT, PPT and PPTX",
+  extensions: /^\.(pdf|docx?|txt|pptx?)$/,
   mimeTypes: [
     "application/pdf",
     "application/msword",
@@ -47,37 +48,22 @@ const ALLOWED_DOCUMENT_TYPES = {
 // ==================== HELPER FUNCTIONS ====================
 
 /**
- * Ensure upload directories exist
- */
-const ensureUploadDirs = () => {
-  Object.values(UPLOAD_DIRS).forEach(dir => {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-  });
-};
-
-// Initialize directories
-ensureUploadDirs();
-
-/**
- * Generate unique filename
+ * Generate an unguessable unique filename. It carries no user id, and
+ * profile images are served publicly by this name.
  * @param {String} prefix - File prefix (e.g., 'profile', 'doc')
- * @param {String} userId - User ID
  * @param {String} originalName - Original filename
  * @returns {String} Unique filename
  */
-const generateUniqueFilename = (prefix, userId, originalName) => {
-  const timestamp = Date.now();
-  const randomSuffix = Math.round(Math.random() * 1e9);
+export const generateUniqueFilename = (prefix, originalName) => {
   const ext = path.extname(originalName);
   const sanitizedName = path.basename(originalName, ext).replace(/[^a-zA-Z0-9.-]/g, "_");
-  
-  return `${prefix}-${userId || "guest"}-${timestamp}-${randomSuffix}-${sanitizedName}${ext}`;
+
+  return `${prefix}-${Date.now()}-${crypto.randomBytes(16).toString("hex")}-${sanitizedName}${ext}`;
 };
 
 /**
- * Validate file type
+ * Validate the declared file type (extension and client MIME type). This is
+ * only a first filter: the content is sniffed after upload by scanUpload.
  * @param {Object} file - Multer file object
  * @param {Object} allowedTypes - Allowed file types configuration
  * @returns {Boolean} Is file valid
@@ -90,43 +76,68 @@ const validateFileType = (file, allowedTypes) => {
   return isValidExtension && isValidMimeType;
 };
 
+/**
+ * Error for a file outside the allowed types
+ * @param {Object} allowedTypes - Allowed file types configuration
+ * @returns {Object} ValidationError
+ */
+const invalidFileTypeError = (allowedTypes) =>
+  new ValidationError(
+    `Invalid file type. Only ${allowedTypes.label} files are allowed.`,
+    { code: "INVALID_FILE_TYPE" }
+  );
+
+/**
+ * Check the declared type of a document that does not go through multer
+ * (resumable uploads)
+ * @param {String} fileName - Original file name
+ * @param {String} mimeType - Declared MIME type
+ * @throws {ValidationError} INVALID_FILE_TYPE
+ */
+export const assertDocumentType = (fileName, mimeType) => {
+  if (!validateFileType({ originalname: fileName, mimetype: mimeType }, ALLOWED_DOCUMENT_TYPES)) {
+    throw invalidFileTypeError(ALLOWED_DOCUMENT_TYPES);
+  }
+};
+
 // ==================== STORAGE CONFIGURATIONS ====================
 
 /**
- * Storage configuration for profile images
+ * Multer storage engine that streams uploads into the configured storage
+ * driver. The uploaded file gets `key` (storage key), `filename` and `size`.
+ * @param {String} folder - Key prefix, e.g. "documents"
+ * @param {String} prefix - File name prefix, e.g. "doc"
+ * @returns {Object} Multer storage engine
  */
-const profileStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOAD_DIRS.profiles);
-  },
-  filename: (req, file, cb) => {
+const createStorageEngine = (folder, prefix) => ({
+  _handleFile(req, file, cb) {
     try {
-      const userId = req.user?.id;
-      const filename = generateUniqueFilename("profile", userId, file.originalname);
-      cb(null, filename);
+      const filename = generateUniqueFilename(prefix, file.originalname);
+      const key = `${folder}/${filename}`;
+
+      getStorage()
+        .put(key, file.stream, { contentType: file.mimetype })
+        .then(({ size }) => cb(null, { key, filename, size }))
+        .catch(cb);
     } catch (error) {
       cb(error);
     }
+  },
+
+  _removeFile(req, file, cb) {
+    getStorage().delete(file.key).then(() => cb(null), cb);
   }
 });
 
+/**
+ * Storage configuration for profile images
+ */
+const profileStorage = createStorageEngine("profiles", "profile");
+
 /**
  * Storage configuration for documents
  */
-const documentStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOAD_DIRS.documents);
-  },
-  filename: (req, file, cb) => {
-    try {
-      const userId = req.user?.id;
-      const filename = generateUniqueFilename("doc", userId, file.originalname);
-      cb(null, filename);
-    } catch (error) {
-      cb(error);
-    }
-  }
-});
+const documentStorage = createStorageEngine("documents", "doc");
 
 // ==================== FILE FILTERS ====================
 
@@ -137,12 +148,7 @@ const imageFileFilter = (req, file, cb) => {
   if (validateFileType(file, ALLOWED_IMAGE_TYPES)) {
     cb(null, true);
   } else {
-    cb(
-      new Error(
-        `Invalid file type. Only ${ALLOWED_IMAGE_TYPES.extensions.source} files are allowed.`
-      ),
-      false
-    );
+    cb(invalidFileTypeError(ALLOWED_IMAGE_TYPES), false);
   }
 };
 
@@ -153,12 +159,7 @@ const documentFileFilter = (req, file, cb) => {
   if (validateFileType(file, ALLOWED_DOCUMENT_TYPES)) {
     cb(null, true);
   } else {
-    cb(
-      new Error(
-        `Invalid file type. Only ${ALLOWED_DOCUMENT_TYPES.extensions.source} files are allowed.`
-      ),
-      false
-    );
+    cb(invalidFileTypeError(ALLOWED_DOCUMENT_TYPES), false);
   }
 };
 
@@ -255,6 +256,37 @@ export const formatFileSize = (bytes) => {
   return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + " " + sizes[i];
 };
 
+/**
+ * Delete the stored file of an upload whose request failed
+ * @param {Object} file - Uploaded file (req.file)
+ * @returns {Promise<void>}
+ */
+export const discardUpload = async (file) => {
+  if (!file?.key) return;
+  try {
+    await getStorage().delete(file.key);
+  } catch (error) {
+    console.error(`Error deleting upload ${file.key}:`, error.message);
+  }
+};
+
+/**
+ * Describe a Multer error as an AppError, with the real limit of the field
+ * @param {Object} err - multer.MulterError
+ * @returns {Object} AppError
+ */
+export const uploadErrorFor = (err) => {
+  if (err.code === "LIMIT_FILE_SIZE") {
+    const limit = FIELD_SIZE_LIMITS[err.field];
+    return new AppError(
+      limit ? `File size exceeds the maximum limit of ${formatFileSize(limit)}` : "File size exceeds the maximum limit",
+      { statusCode: 413, code: "FILE_TOO_LARGE", details: [{ field: err.field, limit }] }
+    );
+  }
+
+  return new ValidationError(err.message, { code: "INVALID_UPLOAD", details: [{ field: err.field }] });
+};
+
 /**
  * Check if file exists
  * @param {String} filePath - Path to the file
@@ -0,0 +1,353 @@
+import mongoose from "mongoose";
+import User, { ROLES } from "../models/User.js";
+import Document from "../models/Documents.js";
+import Quiz from "../models/Quiz.js";
+import Flashcard from "../models/FlashCards.js";
+import AIChat from "../models/AiChat.js";
+import AiUsage from "../models/AiUsage.js";
+import RejectedUpload, { REJECTION_REASONS } from "../models/RejectedUpload.js";
+import { getUsageTotals } from "../services/llm/usage.js";
+import { QUOTA_FIELDS, getStorageTotals, startOfMonth } from "../services/quotas.js";
+import { removeDocument } from "../services/documentRemoval.js";
+import { revokeSessions } from "../utils/session.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { NotFoundError, ValidationError } from "../utils/errors.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {String} value - Raw string
+ * @returns {String} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Format user for admins (exclude sensitive data)
+ * @param {Object} user - User document
+ * @param {Object} usage - { storage, ai }
+ * @returns {Object} User
+ */
+const formatAdminUser = (user, usage) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isEmailVerified: user.isEmailVerified,
+  isDisabled: user.isDisabled,
+  disabledAt: user.disabledAt,
+  disabledReason: user.disabledReason,
+  quota: user.quota,
+  createdAt: user.createdAt,
+  usage
+});
+
+/**
+ * Look up a user and attach their storage and AI usage
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} Formatted user, or null if not found
+ */
+const findUserWithUsage = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const [storage, ai] = await Promise.all([getStorageTotals([user._id]), getUsageTotals([user._id], startOfMonth())]);
+
+  return formatAdminUser(user, {
+    storage: storage.get(String(user._id)) || { documents: 0, bytes: 0 },
+    ai: ai.get(String(user._id)) || { requests: 0, totalTokens: 0 }
+  });
+};
+
+/**
+ * Handle a content deletion by model
+ * @param {Object} Model - Mongoose model
+ * @param {String} label - Name used in messages
+ * @returns {Function} Express handler
+ */
+const deleteContent = (Model, label) => asyncHandler(async (req, res) => {
+  const content = await Model.findByIdAndDelete(req.params.id);
+
+  if (!content) {
+    throw new NotFoundError(`${label} not found`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${label} deleted successfully`
+  });
+});
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * List and search users with their storage and AI usage this month
+ * @route GET /api/admin/users?search=&role=&status=active|disabled&page=1&limit=20
+ * @access Admin
+ */
+export const listUsers = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const { search, role, status } = req.query;
+
+  const filter = {};
+  if (typeof search === "string" && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), "i");
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+  if (ROLES.includes(role)) filter.role = role;
+  if (status === "active") filter.isDisabled = { $ne: true };
+  if (status === "disabled") filter.isDisabled = true;
+
+  const [users, total] = await Promise.all([
+    User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    User.countDocuments(filter)
+  ]);
+
+  const userIds = users.map((user) => user._id);
+  const [storage, ai] = await Promise.all([getStorageTotals(userIds), getUsageTotals(userIds, startOfMonth())]);
+
+  res.status(200).json({
+    success: true,
+    message: "Users fetched successfully",
+    data: {
+      users: users.map((user) => formatAdminUser(user, {
+        storage: storage.get(String(user._id)) || { documents: 0, bytes: 0 },
+        ai: ai.get(String(user._id)) || { requests: 0, totalTokens: 0 }
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    }
+  });
+});
+
+/**
+ * Get a user with their usage broken down and their content counts
+ * @route GET /api/admin/users/:id
+ * @access Admin
+ */
+export const getUser = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new NotFoundError("User not found");
+  }
+
+  const user = await findUserWithUsage(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  const userId = user._id;
+  const [byFeature, quizzes, flashcardDecks, chats] = await Promise.all([
+    AiUsage.aggregate([
+      { $match: { userId, createdAt: { $gte: startOfMonth() } } },
+      { $group: { _id: "$feature", requests: { $sum: 1 }, totalTokens: { $sum: "$totalTokens" } } },
+      { $sort: { totalTokens: -1 } }
+    ]),
+    Quiz.countDocuments({ userId }),
+    Flashcard.countDocuments({ userId }),
+    AIChat.countDocuments({ userId })
+  ]);
+
+  user.usage.ai.byFeature = byFeature.map(({ _id, requests, totalTokens }) => ({ feature: _id, requests, totalTokens }));
+  user.content = { documents: user.usage.storage.documents, quizzes, flashcardDecks, chats };
+
+  res.status(200).json({
+    success: true,
+    message: "User fetched successfully",
+    data: user
+  });
+});
+
+/**
+ * List a user's documents, to review what they uploaded
+ * @route GET /api/admin/users/:id/documents
+ * @access Admin
+ */
+export const getUserDocuments = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new NotFoundError("User not found");
+  }
+
+  const documents = await Document.find({ userId: req.params.id })
+    .select("title fileName mimeType fileSize status pageCount createdAt")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: "Documents fetched successfully",
+    data: documents
+  });
+});
+
+/**
+ * Change a user's role
+ * @route PATCH /api/admin/users/:id/role
+ * @access Admin
+ */
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    throw new ValidationError(`Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  // Keep at least the acting admin in place
+  if (req.params.id === String(req.user.id)) {
+    throw new ValidationError("You cannot change your own role");
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id) || !(await User.findByIdAndUpdate(req.params.id, { role }))) {
+    throw new NotFoundError("User not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Role updated successfully",
+    data: await findUserWithUsage(req.params.id)
+  });
+});
+
+/**
+ * Set a user's own limits. Each of storageBytes, documents, monthlyTokens
+ * and monthlyRequests may be a number (0 = unlimited) or null to use the
+ * default; fields left out are unchanged.
+ * @route PATCH /api/admin/users/:id/quota
+ * @access Admin
+ */
+export const updateUserQuota = asyncHandler(async (req, res) => {
+  const update = {};
+
+  for (const field of QUOTA_FIELDS) {
+    const value = req.body[field];
+    if (value === undefined) continue;
+
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      throw new ValidationError(`${field} must be a whole number of at least 0, or null for the default`);
+    }
+    update[`quota.${field}`] = value;
+  }
+
+  if (!Object.keys(update).length) {
+    throw new ValidationError(`Provide at least one of: ${QUOTA_FIELDS.join(", ")}`);
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id) || !(await User.findByIdAndUpdate(req.params.id, { $set: update }))) {
+    throw new NotFoundError("User not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Quota updated successfully",
+    data: await findUserWithUsage(req.params.id)
+  });
+});
+
+/**
+ * Disable or re-enable an account. Disabling signs the user out everywhere.
+ * @route PATCH /api/admin/users/:id/status
+ * @access Admin
+ */
+export const updateUserStatus = asyncHandler(async (req, res) => {
+  const { disabled, reason } = req.body;
+
+  if (typeof disabled !== "boolean") {
+    throw new ValidationError("disabled must be true or false");
+  }
+
+  if (req.params.id === String(req.user.id)) {
+    throw new ValidationError("You cannot disable your own account");
+  }
+
+  const update = disabled
+    ? { isDisabled: true, disabledAt: new Date(), disabledReason: typeof reason === "string" ? reason.trim() || null : null }
+    : { isDisabled: false, disabledAt: null, disabledReason: null };
+
+  if (!mongoose.isValidObjectId(req.params.id) || !(await User.findByIdAndUpdate(req.params.id, update))) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (disabled) await revokeSessions(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: disabled ? "Account disabled successfully" : "Account enabled successfully",
+    data: await findUserWithUsage(req.params.id)
+  });
+});
+
+/**
+ * List rejected uploads, newest first
+ * @route GET /api/admin/rejected-uploads?reason=&userId=&page=1&limit=20
+ * @access Admin
+ */
+export const listRejectedUploads = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const { reason, userId } = req.query;
+
+  const filter = {};
+  if (REJECTION_REASONS.includes(reason)) filter.reason = reason;
+  if (mongoose.isValidObjectId(userId)) filter.userId = userId;
+
+  const [uploads, total] = await Promise.all([
+    RejectedUpload.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", "name email"),
+    RejectedUpload.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Rejected uploads fetched successfully",
+    data: {
+      uploads,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    }
+  });
+});
+
+/**
+ * Delete any user's document along with its file and generated study material
+ * @route DELETE /api/admin/documents/:id
+ * @access Admin
+ */
+export const deleteDocument = asyncHandler(async (req, res) => {
+  const document = mongoose.isValidObjectId(req.params.id)
+    ? await removeDocument({ _id: req.params.id })
+    : null;
+
+  if (!document) {
+    throw new NotFoundError("Document not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Document deleted successfully"
+  });
+});
+
+/**
+ * Delete any user's quiz
+ * @route DELETE /api/admin/quizzes/:id
+ * @access Admin
+ */
+export const deleteQuiz = deleteContent(Quiz, "Quiz");
+
+/**
+ * Delete any user's flashcard deck
+ * @route DELETE /api/admin/flashcards/:id
+ * @access Admin
+ */
+export const deleteFlashcardDeck = deleteContent(Flashcard, "Flashcard deck");
+
+/**
+ * Delete any user's chat history
+ * @route DELETE /api/admin/chats/:id
+ * @access Admin
+ */
+export const deleteChat = deleteContent(AIChat, "Chat");
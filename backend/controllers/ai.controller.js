@@ -0,0 +1,239 @@
+import Document from "../models/Documents.js";
+import AIChat from "../models/AiChat.js";
+import Job from "../models/Job.js";
+import { answerQuestion, extractCitations } from "../services/documentChat.js";
+import { SUMMARY_STYLES } from "../services/summarizer.js";
+import { withUsageContext } from "../services/llm/index.js";
+import { enqueueJob, formatJob } from "../services/jobs/index.js";
+import { assertAiQuota } from "../services/quotas.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { NotFoundError, ValidationError } from "../utils/errors.js";
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Find a processed document owned by the user, with its chunks
+ * @param {String} documentId - Document ID
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} Document
+ */
+const findReadyDocument = (documentId, userId) =>
+  Document.findOne({ _id: documentId, userId, status: "ready" }).select("+chunks");
+
+/**
+ * Format chat messages, rebuilding the citations of assistant answers
+ * @param {Array<Object>} messages - AIChat messages
+ * @param {Object} document - Document with its chunks
+ * @returns {Array<Object>} Messages with citations
+ */
+const formatMessages = (messages, document) =>
+  messages.map((message) => ({
+    _id: message._id,
+    role: message.role,
+    content: message.content,
+    timestamp: message.timestamp,
+    relevantChunks: message.relevantChunks,
+    citations: message.role === "assistant"
+      ? extractCitations(
+        message.content,
+        message.relevantChunks.map((index) => document.chunks[index]).filter(Boolean)
+      )
+      : []
+  }));
+
+/**
+ * Format a cached summary
+ * @param {Object} summary - Document summary entry
+ * @returns {Object} Summary
+ */
+const formatSummary = (summary) => ({
+  style: summary.style,
+  content: summary.style === "glossary" ? undefined : summary.content,
+  terms: summary.style === "glossary" ? summary.terms.map(({ term, definition }) => ({ term, definition })) : undefined,
+  model: summary.model,
+  createdAt: summary.createdAt
+});
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Ask a question about a document
+ * @route POST /api/ai/chat/:documentId
+ * @access Private
+ */
+export const sendChatMessage = asyncHandler(async (req, res) => {
+  const question = req.body.message?.trim();
+
+  if (!question) {
+    throw new ValidationError("Message is required");
+  }
+
+  const document = await findReadyDocument(req.params.documentId, req.user.id);
+  if (!document) {
+    throw new NotFoundError("Document not found or not processed yet");
+  }
+
+  let chat = await AIChat.findOne({ userId: req.user.id, documentId: document._id });
+  if (!chat) {
+    chat = new AIChat({ userId: req.user.id, documentId: document._id, messages: [] });
+  }
+
+  const { answer, relevantChunks, citations } = await withUsageContext(
+    { userId: req.user.id, feature: "chat", documentId: document._id },
+    () => answerQuestion({ document, history: chat.messages, question })
+  );
+
+  chat.messages.push(
+    { role: "user", content: question, relevantChunks },
+    { role: "assistant", content: answer, relevantChunks }
+  );
+  await chat.save();
+
+  const assistantMessage = chat.messages[chat.messages.length - 1];
+
+  res.status(200).json({
+    success: true,
+    message: "Answer generated successfully",
+    data: {
+      chatId: chat._id,
+      message: {
+        _id: assistantMessage._id,
+        role: assistantMessage.role,
+        content: assistantMessage.content,
+        timestamp: assistantMessage.timestamp,
+        relevantChunks,
+        citations
+      }
+    }
+  });
+});
+
+/**
+ * Get the chat history of a document
+ * @route GET /api/ai/chat/:documentId
+ * @access Private
+ */
+export const getChatHistory = asyncHandler(async (req, res) => {
+  const document = await Document.findOne({ _id: req.params.documentId, userId: req.user.id })
+    .select("+chunks");
+
+  if (!document) {
+    throw new NotFoundError("Document not found");
+  }
+
+  const chat = await AIChat.findOne({ userId: req.user.id, documentId: document._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Chat history fetched successfully",
+    data: {
+      chatId: chat?._id || null,
+      messages: chat ? formatMessages(chat.messages, document) : []
+    }
+  });
+});
+
+/**
+ * Clear the chat history of a document
+ * @route DELETE /api/ai/chat/:documentId
+ * @access Private
+ */
+export const clearChatHistory = asyncHandler(async (req, res) => {
+  await AIChat.updateOne(
+    { userId: req.user.id, documentId: req.params.documentId },
+    { $set: { messages: [] } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Chat history cleared successfully"
+  });
+});
+
+/**
+ * Get the cached summary of a document in one style
+ * @route GET /api/ai/summary/:documentId?style=tldr
+ * @access Private
+ */
+export const getSummary = asyncHandler(async (req, res) => {
+  const { style = "tldr" } = req.query;
+
+  const document = await Document.findOne({ _id: req.params.documentId, userId: req.user.id })
+    .select("+summaries");
+
+  if (!document) {
+    throw new NotFoundError("Document not found");
+  }
+
+  const summary = document.summaries.find(
+    (entry) => entry.style === style && entry.textHash === document.textHash
+  );
+
+  if (!summary) {
+    throw new NotFoundError("No summary in this style yet", { code: "SUMMARY_NOT_FOUND" });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Summary fetched successfully",
+    data: formatSummary(summary)
+  });
+});
+
+/**
+ * Summarize a document as a TL;DR, an outline or a glossary.
+ * Results are cached per style and extracted text, and returned right away
+ * when cached; otherwise a job is queued (or the one already running is
+ * returned) and the summary is available from GET /summary once it completes.
+ * Pass `refresh: true` to regenerate.
+ * @route POST /api/ai/summary/:documentId
+ * @access Private
+ */
+export const generateSummary = asyncHandler(async (req, res) => {
+  const { style = "tldr", refresh = false } = req.body;
+
+  if (!SUMMARY_STYLES.includes(style)) {
+    throw new ValidationError(`Style must be one of ${SUMMARY_STYLES.join(", ")}`);
+  }
+
+  const document = await Document.findOne({
+    _id: req.params.documentId,
+    userId: req.user.id,
+    status: "ready"
+  }).select("+summaries");
+
+  if (!document) {
+    throw new NotFoundError("Document not found or not processed yet");
+  }
+
+  const cached = document.textHash && document.summaries.find(
+    (summary) => summary.style === style && summary.textHash === document.textHash
+  );
+
+  if (cached && !refresh) {
+    return res.status(200).json({
+      success: true,
+      message: "Summary fetched successfully",
+      data: { ...formatSummary(cached), cached: true }
+    });
+  }
+
+  await assertAiQuota(req.user.id);
+
+  const job = await Job.findOne({
+    type: "generate-summary",
+    documentId: document._id,
+    "payload.style": style,
+    status: { $in: ["queued", "running"] }
+  }) || await enqueueJob("generate-summary", {
+    userId: req.user.id,
+    documentId: document._id,
+    payload: { style }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: "Summary generation queued",
+    data: { job: formatJob(job) }
+  });
+});
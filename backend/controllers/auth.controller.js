@@ -1,23 +1,43 @@
 import bcrypt from "bcryptjs";
-import User from "../models/user.js";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
 import { verifyEmail } from "../utils/verifyEmail.js";
-import { generateToken } from "../utils/generateToken.js";
-import { deleteFile } from "../config/multer.config.js";
-import path from "path";
+import { generateActionToken, verifyActionToken, fingerprint } from "../utils/generateToken.js";
+import { sendMail } from "../services/mailer/index.js";
+import { verifyEmailMessage, resetPasswordMessage } from "../services/mailer/templates.js";
+import logger from "../config/logger.js";
+import { TWO_FACTOR_FIELDS, consumeSecondFactor } from "../services/twoFactor.js";
+import {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  rotateSession,
+  revokeSessions
+} from "../utils/session.js";
+import { getStorage, toStorageKey } from "../services/storage/index.js";
+import { getQuotaUsage } from "../services/quotas.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { AuthError, ConflictError, ForbiddenError, NotFoundError, ValidationError } from "../utils/errors.js";
 
 // ==================== HELPER FUNCTIONS ====================
 
 /**
- * Clean up uploaded file
- * @param {Object} file - Multer file object
+ * Send the email verification link to a user
+ * @param {Object} user - User document
  */
-const cleanupUploadedFile = (file) => {
-  if (file) {
-    const filePath = path.join(process.cwd(), `uploads/profiles/${file.filename}`);
-    deleteFile(filePath);
-  }
+const sendVerificationEmail = async (user) => {
+  const token = generateActionToken("verify-email", { id: user._id, email: user.email }, "24h");
+  await sendMail(verifyEmailMessage(user, token));
 };
 
+/**
+ * Public URL of a profile image
+ * @param {String} profileImage - Stored key (or legacy path) of the image
+ * @returns {String|null} URL served by GET /api/files/profiles/:fileName
+ */
+const profileImageUrl = (profileImage) =>
+  profileImage ? `/api/files/${toStorageKey(profileImage)}` : null;
+
 /**
  * Format user response (exclude sensitive data)
  * @param {Object} user - User document
@@ -27,24 +47,67 @@ const formatUserResponse = (user) => ({
   _id: user._id,
   name: user.name,
   email: user.email,
-  profileImage: user.profileImage,
+  profileImage: profileImageUrl(user.profileImage),
+  isEmailVerified: user.isEmailVerified,
+  role: user.role,
+  twoFactorEnabled: user.twoFactorEnabled,
   createdAt: user.createdAt
 });
 
+const REFRESH_COOKIE_PATH = "/api/auth";
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+
 /**
- * Set authentication cookie
+ * Set authentication cookies
  * @param {Object} res - Express response object
- * @param {String} token - JWT token
+ * @param {Object} tokens - { accessToken, refreshToken }
  */
-const setAuthCookie = (res, token) => {
-  res.cookie("token", token, {
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie("token", accessToken, {
     httpOnly: true,
     secure: process.env.NODE_ENV === "production",
     sameSite: "strict",
-    maxAge: 3600000 // 1 hour
+    maxAge: ACCESS_TOKEN_TTL_MS
   });
+  res.cookie("refreshToken", refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_MS
+  });
+};
+
+/**
+ * Clear authentication cookies
+ * @param {Object} res - Express response object
+ */
+const clearAuthCookies = (res) => {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict"
+  };
+  res.clearCookie("token", options);
+  res.clearCookie("refreshToken", { ...options, path: REFRESH_COOKIE_PATH });
 };
 
+/**
+ * Format session response
+ * @param {Object} session - Session document
+ * @param {String} currentSessionId - Session of the request
+ * @returns {Object} Session summary
+ */
+const formatSessionResponse = (session, currentSessionId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: String(session._id) === String(currentSessionId)
+});
+
 // ==================== CONTROLLERS ====================
 
 /**
@@ -52,288 +115,482 @@ const setAuthCookie = (res, token) => {
  * @route POST /api/auth/register
  * @access Public
  */
-export const register = async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-
-    // Check if email already exists
-    const emailExists = await verifyEmail(email);
-    if (emailExists) {
-      cleanupUploadedFile(req.file);
-      return res.status(400).json({ 
-        success: false,
-        message: "Email already registered" 
-      });
-    }
+export const register = asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // Prepare user data
-    const userData = { 
-      name, 
-      email, 
-      password: hashedPassword 
-    };
+  // Check if email already exists
+  const emailExists = await verifyEmail(email);
+  if (emailExists) {
+    throw new ConflictError("Email already registered", { code: "EMAIL_TAKEN" });
+  }
 
-    // Add profile image if uploaded
-    if (req.file) {
-      userData.profileImage = `uploads/profiles/${req.file.filename}`;
-    }
+  // Hash password
+  const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create user
-    const user = await User.create(userData);
+  // Prepare user data
+  const userData = { 
+    name, 
+    email, 
+    password: hashedPassword 
+  };
 
-    // Generate token
-    const token = generateToken({ id: user._id });
+  // Add profile image if uploaded
+  if (req.file) {
+    userData.profileImage = req.file.key;
+  }
 
-    // Set cookie
-    setAuthCookie(res, token);
+  // Create user
+  const user = await User.create(userData);
 
-    res.status(201).json({ 
-      success: true,
-      message: "User registered successfully", 
-      data: { 
-        user: formatUserResponse(user), 
-        token 
-      } 
-    });
+  // A mail failure must not fail the registration: the user can ask for a new link
+  try {
+    await sendVerificationEmail(user);
   } catch (error) {
-    cleanupUploadedFile(req.file);
-    
-    res.status(500).json({ 
-      success: false,
-      message: "User registration failed", 
-      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
-    });
+    logger.error(`Sending verification email to ${user.email} failed: ${error.message}`);
   }
-};
+
+  // Open a session and set cookies
+  const { accessToken, refreshToken } = await createSession(user._id, req);
+  setAuthCookies(res, { accessToken, refreshToken });
+
+  res.status(201).json({ 
+    success: true,
+    message: "User registered successfully", 
+    data: { 
+      user: formatUserResponse(user), 
+      token: accessToken,
+      refreshToken
+    } 
+  });
+});
 
 /**
  * Login user
  * @route POST /api/auth/login
  * @access Public
  */
-export const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Find user and include password field
-    const user = await User.findOne({ email }).select("+password");
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: "Invalid email or password" 
-      });
-    }
+export const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ 
-        success: false, 
-        message: "Invalid email or password" 
-      });
-    }
+  // Find user and include password field
+  const user = await User.findOne({ email }).select("+password");
+  if (!user) {
+    throw new AuthError("Invalid email or password", { code: "INVALID_CREDENTIALS" });
+  }
 
-    // Generate token
-    const token = generateToken({ id: user._id });
+  // Verify password
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!isPasswordValid) {
+    throw new AuthError("Invalid email or password", { code: "INVALID_CREDENTIALS" });
+  }
 
-    // Set cookie
-    setAuthCookie(res, token);
+  if (user.isDisabled) {
+    throw new ForbiddenError("This account has been disabled", { code: "ACCOUNT_DISABLED" });
+  }
 
-    res.status(200).json({ 
+  // With 2FA on, the password only earns a challenge to exchange with a code
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({ 
       success: true,
-      message: "User logged in successfully", 
+      message: "Enter the code from your authenticator app", 
       data: { 
-        user: formatUserResponse(user), 
-        token 
+        twoFactorRequired: true,
+        challengeToken: generateActionToken(
+          "2fa-login",
+          { id: user._id, pwd: fingerprint(user.password) },
+          TWO_FACTOR_CHALLENGE_TTL
+        )
       } 
     });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false,
-      message: "Login failed", 
-      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
-    });
   }
-};
+
+  // Open a session and set cookies
+  const { accessToken, refreshToken } = await createSession(user._id, req);
+  setAuthCookies(res, { accessToken, refreshToken });
+
+  res.status(200).json({ 
+    success: true,
+    message: "User logged in successfully", 
+    data: { 
+      user: formatUserResponse(user), 
+      token: accessToken,
+      refreshToken
+    } 
+  });
+});
+
+/**
+ * Finish a 2FA login: exchange the challenge token and a TOTP or
+ * recovery code for a session
+ * @route POST /api/auth/2fa/verify
+ * @access Public
+ */
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const claims = verifyActionToken("2fa-login", challengeToken);
+  const user = claims ? await User.findById(claims.id).select(`+password ${TWO_FACTOR_FIELDS}`) : null;
+
+  // The challenge dies with a password change
+  if (!user || fingerprint(user.password) !== claims.pwd) {
+    throw new AuthError("Login challenge is invalid or expired, please log in again", { code: "INVALID_TOKEN" });
+  }
+
+  if (user.isDisabled) {
+    throw new ForbiddenError("This account has been disabled", { code: "ACCOUNT_DISABLED" });
+  }
+
+  const method = await consumeSecondFactor(user, code);
+  if (!method) {
+    throw new AuthError("Invalid verification code", { code: "INVALID_2FA_CODE" });
+  }
+
+  // Open a session and set cookies
+  const { accessToken, refreshToken } = await createSession(user._id, req);
+  setAuthCookies(res, { accessToken, refreshToken });
+
+  res.status(200).json({ 
+    success: true,
+    message: "User logged in successfully", 
+    data: { 
+      user: formatUserResponse(user), 
+      token: accessToken,
+      refreshToken,
+      ...(method === "recovery" && { recoveryCodesLeft: user.twoFactorRecoveryCodes.length })
+    } 
+  });
+});
 
 /**
  * Get user profile
  * @route GET /api/auth/profile
  * @access Private
  */
-export const getProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).select("-password");
-    
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "User not found" 
-      });
-    }
-
-    res.status(200).json({ 
-      success: true, 
-      message: "Profile fetched successfully", 
-      data: user 
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false,
-      message: "Fetching profile failed", 
-      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
-    });
+export const getProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select("-password");
+  
+  if (!user) {
+    throw new NotFoundError("User not found");
   }
-};
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Profile fetched successfully", 
+    data: formatUserResponse(user) 
+  });
+});
+
+/**
+ * Get the user's storage and AI usage this month against their quotas.
+ * A null limit means unlimited.
+ * @route GET /api/auth/usage
+ * @access Private
+ */
+export const getUsage = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: "Usage fetched successfully",
+    data: await getQuotaUsage(req.user.id)
+  });
+});
 
 /**
  * Update user profile
  * @route PUT /api/auth/profile
  * @access Private
  */
-export const updateProfile = async (req, res) => {
-  try {
-    const updates = { ...req.body };
-    
-    // Security: Prevent password and email modification via this route
-    delete updates.password;
-    delete updates.email;
+export const updateProfile = asyncHandler(async (req, res) => {
+  // Security: only whitelisted fields, so email, password, role or 2FA
+  // settings can never be changed through this route
+  const updates = {};
+  if (req.body.name !== undefined) updates.name = req.body.name;
+  
+  // Handle profile image upload
+  if (req.file) {
+    // Get current user to delete old image
+    const currentUser = await User.findById(req.user.id).select("profileImage");
     
-    // Handle profile image upload
-    if (req.file) {
-      // Get current user to delete old image
-      const currentUser = await User.findById(req.user.id).select("profileImage");
-      
-      // Delete old profile image if exists
-      if (currentUser?.profileImage) {
-        const oldImagePath = path.join(process.cwd(), currentUser.profileImage);
-        deleteFile(oldImagePath);
-      }
-      
-      // Set new profile image path
-      updates.profileImage = `uploads/profiles/${req.file.filename}`;
+    // Delete old profile image if exists
+    if (currentUser?.profileImage) {
+      await getStorage().delete(toStorageKey(currentUser.profileImage));
     }
     
-    // Update user
-    const user = await User.findByIdAndUpdate(
-      req.user.id, 
-      updates, 
-      { 
-        new: true, 
-        runValidators: true 
-      }
-    ).select("-password");
-    
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "User not found" 
-      });
+    // Set new profile image key
+    updates.profileImage = req.file.key;
+  }
+  
+  // Update user
+  const user = await User.findByIdAndUpdate(
+    req.user.id, 
+    updates, 
+    { 
+      new: true, 
+      runValidators: true 
     }
-    
-    res.status(200).json({ 
-      success: true, 
-      message: "Profile updated successfully", 
-      data: user 
-    });
-  } catch (error) {
-    // Cleanup uploaded file on error
-    cleanupUploadedFile(req.file);
-    
-    res.status(500).json({ 
-      success: false,
-      message: "Updating profile failed", 
-      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
-    });
+  ).select("-password");
+  
+  if (!user) {
+    throw new NotFoundError("User not found");
   }
-};
+  
+  res.status(200).json({ 
+    success: true, 
+    message: "Profile updated successfully", 
+    data: formatUserResponse(user) 
+  });
+});
 
 /**
  * Change user password
  * @route POST /api/auth/change-password
  * @access Private
  */
-export const changePassword = async (req, res) => {
-  try {
-    const { oldPassword, newPassword } = req.body;
-    
-    // Validation
-    if (!oldPassword || !newPassword) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Old password and new password are required" 
-      });
-    }
+export const changePassword = asyncHandler(async (req, res) => {
+  // Inputs and the password policy are checked by changePasswordValidation
+  const { oldPassword, newPassword } = req.body;
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "New password must be at least 6 characters long" 
-      });
-    }
+  // Retrieve user with password
+  const user = await User.findById(req.user.id).select("+password");
 
-    // Retrieve user with password
-    const user = await User.findById(req.user.id).select("+password");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
 
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "User not found" 
-      });
-    }
+  // Verify old password
+  const isOldPasswordValid = await bcrypt.compare(oldPassword, user.password);
+  if (!isOldPasswordValid) {
+    throw new AuthError("Old password is incorrect", { code: "INVALID_CREDENTIALS" });
+  }
 
-    // Verify old password
-    const isOldPasswordValid = await bcrypt.compare(oldPassword, user.password);
-    if (!isOldPasswordValid) {
-      return res.status(401).json({ 
-        success: false, 
-        message: "Old password is incorrect" 
-      });
-    }
+  // Hash and save new password
+  user.password = await bcrypt.hash(newPassword, 10);
+  await user.save();
 
-    // Hash and save new password
-    user.password = await bcrypt.hash(newPassword, 10);
-    await user.save();
+  // Sign out every other device
+  await revokeSessions(user._id, { exceptSessionId: req.user.sid });
 
-    res.status(200).json({ 
-      success: true, 
-      message: "Password changed successfully" 
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false,
-      message: "Changing password failed", 
-      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
-    });
+  res.status(200).json({ 
+    success: true, 
+    message: "Password changed successfully" 
+  });
+});
+
+/**
+ * Exchange a refresh token for a new access token (the refresh token rotates)
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+export const refresh = asyncHandler(async (req, res) => {
+  const tokens = await rotateSession(req.cookies?.refreshToken || req.body.refreshToken, req);
+
+  if (!tokens) {
+    clearAuthCookies(res);
+    throw new AuthError("Invalid or expired refresh token", { code: "INVALID_TOKEN" });
   }
-};
+
+  setAuthCookies(res, tokens);
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Token refreshed successfully", 
+    data: { 
+      token: tokens.accessToken, 
+      refreshToken: tokens.refreshToken 
+    } 
+  });
+});
 
 /**
- * Logout user
+ * Logout user: revoke the current session and clear cookies
  * @route POST /api/auth/logout
  * @access Public
  */
-export const logout = async (req, res) => {
-  try {
-    // Clear authentication cookie
-    res.clearCookie("token", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict"
-    });
-    
-    res.status(200).json({ 
-      success: true, 
-      message: "User logged out successfully" 
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false,
-      message: "Logout failed", 
-      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
-    });
+export const logout = asyncHandler(async (req, res) => {
+  // The refresh token identifies the session even once the access token expired
+  const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  const sessionId = String(refreshToken || "").split(".")[0];
+
+  if (/^[a-f0-9]{24}$/.test(sessionId)) {
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
   }
-};
+
+  clearAuthCookies(res);
+  
+  res.status(200).json({ 
+    success: true, 
+    message: "User logged out successfully" 
+  });
+});
+
+/**
+ * List the user's active sessions
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    userId: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Sessions fetched successfully", 
+    data: sessions.map((session) => formatSessionResponse(session, req.user.sid)) 
+  });
+});
+
+/**
+ * Revoke one session
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+export const revokeSession = asyncHandler(async (req, res) => {
+  const revoked = await revokeSessions(req.user.id, { sessionId: req.params.id });
+
+  if (!revoked) {
+    throw new NotFoundError("Session not found");
+  }
+
+  if (req.params.id === String(req.user.sid)) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Session revoked successfully" 
+  });
+});
+
+/**
+ * Revoke every session except the current one
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revoked = await revokeSessions(req.user.id, { exceptSessionId: req.user.sid });
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Other sessions revoked successfully", 
+    data: { revoked } 
+  });
+});
+
+/**
+ * Confirm a user's email address
+ * @route POST /api/auth/verify-email
+ * @access Public
+ */
+export const confirmEmail = asyncHandler(async (req, res) => {
+  const claims = verifyActionToken("verify-email", req.body.token);
+
+  if (!claims) {
+    throw new ValidationError("Invalid or expired verification link", { code: "INVALID_TOKEN" });
+  }
+
+  // The token only counts for the address it was sent to
+  const user = await User.findOne({ _id: claims.id, email: claims.email });
+
+  if (!user) {
+    throw new ValidationError("Invalid or expired verification link", { code: "INVALID_TOKEN" });
+  }
+
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Email verified successfully" 
+  });
+});
+
+/**
+ * Send a new verification email
+ * @route POST /api/auth/resend-verification
+ * @access Private
+ */
+export const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (user.isEmailVerified) {
+    throw new ConflictError("Email is already verified", { code: "EMAIL_ALREADY_VERIFIED" });
+  }
+
+  await sendVerificationEmail(user);
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Verification email sent" 
+  });
+});
+
+/**
+ * Email a password reset link. Always answers the same way so it cannot
+ * be used to find out which emails are registered.
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const user = email ? await User.findOne({ email }).select("+password") : null;
+
+  if (user) {
+    const token = generateActionToken(
+      "reset-password",
+      { id: user._id, pwd: fingerprint(user.password) },
+      "1h"
+    );
+
+    // A mail failure must answer like an unknown email, or it would give the account away
+    try {
+      await sendMail(resetPasswordMessage(user, token));
+    } catch (error) {
+      logger.error(`Sending password reset email to ${user.email} failed: ${error.message}`);
+    }
+  }
+
+  res.status(200).json({ 
+    success: true, 
+    message: "If this email is registered, a reset link has been sent" 
+  });
+});
+
+/**
+ * Set a new password with a reset token, then sign out every device
+ * @route POST /api/auth/reset-password
+ * @access Public
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const claims = verifyActionToken("reset-password", token);
+  const user = claims ? await User.findById(claims.id).select("+password") : null;
+
+  // The fingerprint changes with the password, so each link works only once
+  if (!user || fingerprint(user.password) !== claims.pwd) {
+    throw new ValidationError("Invalid or expired reset link", { code: "INVALID_TOKEN" });
+  }
+
+  user.password = await bcrypt.hash(password, 10);
+  // Receiving the link proves the user owns the address
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await revokeSessions(user._id);
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Password reset successfully, please log in" 
+  });
+});
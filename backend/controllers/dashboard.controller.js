@@ -0,0 +1,27 @@
+import { getLearningStats } from "../services/learningStats.js";
+import asyncHandler from "../utils/asyncHandler.js";
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Learning progress of the current user: documents studied, quiz score
+ * trend, accuracy per difficulty, flashcards due and reviewed, study
+ * streak and weakest topics
+ * @route GET /api/dashboard/stats?days=30&timezone=Europe/Berlin
+ * @access Private
+ */
+export const getDashboardStats = asyncHandler(async (req, res) => {
+  const stats = await getLearningStats(req.user.id, {
+    // Express 5 re-parses req.query on each read, so the validator cannot convert it
+    days: req.query.days ? Number(req.query.days) : DEFAULT_RANGE_DAYS,
+    timeZone: req.query.timezone || "UTC"
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Dashboard stats fetched successfully",
+    data: stats
+  });
+});
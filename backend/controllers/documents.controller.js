@@ -0,0 +1,481 @@
+import path from "path";
+import Document from "../models/Documents.js";
+import { removeDocument } from "../services/documentRemoval.js";
+import { retrieveChunks } from "../services/retrieval/index.js";
+import { getStorage, toStorageKey } from "../services/storage/index.js";
+import { sendStoredFile } from "../services/storage/http.js";
+import { enqueueJob, formatJob } from "../services/jobs/index.js";
+import { screenUpload } from "../services/uploadSafety/index.js";
+import {
+  CHUNK_SIZE,
+  createUploadSession,
+  appendChunk,
+  assembleUpload,
+  finishUploadSession,
+  releaseUploadSession,
+  abortUploadSession,
+  isCancellable
+} from "../services/resumableUploads.js";
+import { FILE_SIZE_LIMITS, assertDocumentType, formatFileSize } from "../config/multer.config.js";
+import UploadSession from "../models/UploadSession.js";
+import { assertStorageQuota } from "../services/quotas.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { AppError, ConflictError, NotFoundError, ValidationError } from "../utils/errors.js";
+
+// Lifetime of signed file links, in seconds
+const DEFAULT_LINK_TTL = 5 * 60;
+const MAX_LINK_TTL = 60 * 60;
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Format document response (exclude extracted text and chunks)
+ * @param {Object} document - Document
+ * @returns {Object} Document summary
+ */
+const formatDocumentResponse = (document) => ({
+  _id: document._id,
+  title: document.title,
+  fileName: document.fileName,
+  mimeType: document.mimeType,
+  fileSize: document.fileSize,
+  status: document.status,
+  processingError: document.processingError,
+  processingErrorCode: document.processingErrorCode,
+  pageCount: document.pageCount,
+  processedAt: document.processedAt,
+  createdAt: document.createdAt,
+  updatedAt: document.updatedAt
+});
+
+/**
+ * Find a document owned by the current user, with the storage key of its file
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { document, key }
+ */
+const findUserDocumentFile = async (req) => {
+  const document = await Document.findOne({ _id: req.params.id, userId: req.user.id });
+  const key = document && (document.storageKey || toStorageKey(document.filePath));
+
+  if (!key) {
+    throw new NotFoundError("Document not found");
+  }
+
+  return { document, key };
+};
+
+/**
+ * Create a document from a stored upload and queue it for processing
+ * @param {String} userId - Owner
+ * @param {Object} file - Stored file ({ key, originalname, mimetype, size })
+ * @param {String} title - Title, defaults to the file name
+ * @returns {Promise<Object>} { document, job }
+ */
+const queueDocument = async (userId, file, title) => {
+  const document = await Document.create({
+    userId,
+    title: title?.trim() || path.basename(file.originalname, path.extname(file.originalname)),
+    fileName: file.originalname,
+    mimeType: file.mimetype,
+    fileSize: file.size,
+    storageKey: file.key,
+    status: "queued"
+  });
+
+  // A document that is never processed would sit in "queued" for good
+  const job = await enqueueJob("process-document", { userId, documentId: document._id }).catch(async (error) => {
+    await Document.deleteOne({ _id: document._id });
+    throw error;
+  });
+  return { document, job };
+};
+
+/**
+ * Format a resumable upload for its owner
+ * @param {Object} session - Upload session
+ * @returns {Object} Upload status
+ */
+const formatUpload = (session) => ({
+  _id: session._id,
+  fileName: session.fileName,
+  mimeType: session.mimeType,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  chunkSize: CHUNK_SIZE,
+  documentId: session.documentId,
+  expiresAt: session.expiresAt,
+  createdAt: session.createdAt
+});
+
+/**
+ * Find a resumable upload of the current user and report its offset in the
+ * Upload-Offset / Upload-Length headers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Upload session
+ */
+const findUserUpload = async (req, res) => {
+  const session = await UploadSession.findOne({
+    _id: req.params.uploadId,
+    userId: req.user.id,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!session) {
+    throw new NotFoundError("Upload not found or expired");
+  }
+
+  res.set({ "Upload-Offset": String(session.offset), "Upload-Length": String(session.size) });
+  return session;
+};
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Upload a document and queue it for processing. Poll the returned job
+ * (GET /api/jobs/:id) to follow extraction and indexing.
+ * @route POST /api/documents/upload
+ * @access Private
+ */
+export const createDocument = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError("No document uploaded");
+  }
+
+  await assertStorageQuota(req.user.id, req.file.size);
+
+  const { document, job } = await queueDocument(req.user.id, req.file, req.body.title);
+
+  res.status(202).json({
+    success: true,
+    message: "Document uploaded and queued for processing",
+    data: {
+      ...formatDocumentResponse(document),
+      job: formatJob(job)
+    }
+  });
+});
+
+/**
+ * Get all documents of the current user
+ * @route GET /api/documents
+ * @access Private
+ */
+export const getAllDocuments = asyncHandler(async (req, res) => {
+  const documents = await Document.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: "Documents fetched successfully",
+    data: documents.map(formatDocumentResponse)
+  });
+});
+
+/**
+ * Get a single document with its extracted text
+ * @route GET /api/documents/:id
+ * @access Private
+ */
+export const getDocumentById = asyncHandler(async (req, res) => {
+  const document = await Document.findOne({ _id: req.params.id, userId: req.user.id })
+    .select("+extractedText");
+
+  if (!document) {
+    throw new NotFoundError("Document not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Document fetched successfully",
+    data: {
+      ...formatDocumentResponse(document),
+      outline: document.outline,
+      extractedText: document.extractedText
+    }
+  });
+});
+
+/**
+ * Search a document's chunks for the passages most relevant to a query
+ * @route GET /api/documents/:id/search?q=...&k=5
+ * @access Private
+ */
+export const searchDocument = asyncHandler(async (req, res) => {
+  const query = req.query.q?.trim();
+  const topK = Math.min(Math.max(parseInt(req.query.k, 10) || 5, 1), 20);
+
+  if (!query) {
+    throw new ValidationError("Search query is required");
+  }
+
+  const document = await Document.findOne({ _id: req.params.id, userId: req.user.id })
+    .select("+chunks");
+
+  if (!document) {
+    throw new NotFoundError("Document not found");
+  }
+
+  const matches = await retrieveChunks(document, query, { topK });
+
+  res.status(200).json({
+    success: true,
+    message: "Document searched successfully",
+    data: matches.map(({ chunkIndex, score }) => {
+      const chunk = document.chunks[chunkIndex];
+      return {
+        chunkIndex,
+        score,
+        heading: chunk.heading,
+        pageNumber: chunk.pageNumber,
+        slideNumber: chunk.slideNumber,
+        content: chunk.content
+      };
+    })
+  });
+});
+
+/**
+ * Update document metadata
+ * @route PUT /api/documents/:id
+ * @access Private
+ */
+export const updateDocument = asyncHandler(async (req, res) => {
+  const { title } = req.body;
+
+  if (!title || !title.trim()) {
+    throw new ValidationError("Title is required");
+  }
+
+  const document = await Document.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user.id },
+    { title: title.trim() },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!document) {
+    throw new NotFoundError("Document not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Document updated successfully",
+    data: formatDocumentResponse(document)
+  });
+});
+
+/**
+ * Delete a document, its file and everything generated from it
+ * @route DELETE /api/documents/:id
+ * @access Private
+ */
+export const deleteDocument = asyncHandler(async (req, res) => {
+  const document = await removeDocument({ _id: req.params.id, userId: req.user.id });
+
+  if (!document) {
+    throw new NotFoundError("Document not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Document deleted successfully"
+  });
+});
+
+/**
+ * Download the original file of a document. Supports HTTP range requests;
+ * served inline (for the PDF viewer) unless `download=true`.
+ * @route GET /api/documents/:id/file?download=true
+ * @access Private (owner)
+ */
+export const downloadDocument = asyncHandler(async (req, res) => {
+  const { document, key } = await findUserDocumentFile(req);
+
+  await sendStoredFile(req, res, key, {
+    contentType: document.mimeType,
+    fileName: document.fileName,
+    disposition: req.query.download === "true" ? "attachment" : "inline",
+    headers: { "Cache-Control": "private, no-cache, no-transform" }
+  });
+});
+
+/**
+ * Create a short-lived signed link to a document's file, usable without
+ * the auth token (e.g. to hand to an external viewer)
+ * @route GET /api/documents/:id/file/link?expiresIn=300&download=true
+ * @access Private (owner)
+ */
+export const getDocumentFileLink = asyncHandler(async (req, res) => {
+  const { document, key } = await findUserDocumentFile(req);
+  const expiresIn = Math.min(parseInt(req.query.expiresIn, 10) || DEFAULT_LINK_TTL, MAX_LINK_TTL);
+
+  const url = await getStorage().getSignedUrl(key, {
+    expiresIn,
+    fileName: document.fileName,
+    contentType: document.mimeType,
+    disposition: req.query.download === "true" ? "attachment" : "inline"
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "File link created successfully",
+    data: {
+      url,
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    }
+  });
+});
+
+/**
+ * Start a resumable upload for a large document. Send the file in order as
+ * PATCH chunks, then complete it with its SHA-256 checksum. Unfinished
+ * uploads expire 24 hours after their last chunk.
+ * @route POST /api/documents/uploads
+ * @access Private
+ */
+export const createUpload = asyncHandler(async (req, res) => {
+  const { fileName, mimeType, size, checksum, title } = req.body;
+
+  assertDocumentType(fileName, mimeType);
+
+  if (size > FILE_SIZE_LIMITS.document) {
+    throw new AppError(`File size exceeds the maximum limit of ${formatFileSize(FILE_SIZE_LIMITS.document)}`, {
+      statusCode: 413,
+      code: "FILE_TOO_LARGE",
+      details: [{ field: "size", limit: FILE_SIZE_LIMITS.document }]
+    });
+  }
+
+  await assertStorageQuota(req.user.id, size);
+
+  const session = await createUploadSession({ userId: req.user.id, fileName, mimeType, size, checksum, title });
+
+  res.status(201)
+    .location(`${req.baseUrl}/uploads/${session._id}`)
+    .set({ "Upload-Offset": "0", "Upload-Length": String(session.size) })
+    .json({
+      success: true,
+      message: "Upload started",
+      data: formatUpload(session)
+    });
+});
+
+/**
+ * Get the state of a resumable upload; the offset tells where to resume
+ * @route GET /api/documents/uploads/:uploadId (HEAD for headers only)
+ * @access Private
+ */
+export const getUpload = asyncHandler(async (req, res) => {
+  const session = await findUserUpload(req, res);
+
+  res.set("Cache-Control", "no-store").status(200).json({
+    success: true,
+    message: "Upload fetched successfully",
+    data: formatUpload(session)
+  });
+});
+
+/**
+ * Append a chunk (raw bytes, Content-Type: application/offset+octet-stream)
+ * at the offset given in the Upload-Offset header. An optional
+ * "Upload-Checksum: sha256 <base64>" header is verified.
+ * @route PATCH /api/documents/uploads/:uploadId
+ * @access Private
+ */
+export const uploadChunk = asyncHandler(async (req, res) => {
+  const session = await findUserUpload(req, res);
+
+  if (!Buffer.isBuffer(req.body)) {
+    throw new AppError("Chunks must be sent as application/offset+octet-stream", {
+      statusCode: 415,
+      code: "UNSUPPORTED_MEDIA_TYPE"
+    });
+  }
+
+  const [algorithm, checksum] = (req.get("Upload-Checksum") || "").split(" ");
+  if (algorithm && (algorithm !== "sha256" || !checksum)) {
+    throw new ValidationError("Upload-Checksum must be \"sha256 <base64 digest>\"", { code: "UNSUPPORTED_CHECKSUM" });
+  }
+
+  const updated = await appendChunk(session, {
+    offset: Number(req.get("Upload-Offset")),
+    data: req.body,
+    checksum
+  });
+
+  res.set("Upload-Offset", String(updated.offset)).status(200).json({
+    success: true,
+    message: "Chunk received",
+    data: formatUpload(updated)
+  });
+});
+
+/**
+ * Complete a resumable upload: the file is verified against its SHA-256
+ * checksum and the same safety checks as a direct upload, then queued for
+ * processing like one
+ * @route POST /api/documents/uploads/:uploadId/complete
+ * @access Private
+ */
+export const completeUpload = asyncHandler(async (req, res) => {
+  const session = await findUserUpload(req, res);
+  // Other uploads may have used the room since this one started
+  await assertStorageQuota(req.user.id, session.size);
+  const file = await assembleUpload(session, req.body.checksum);
+
+  // Any failure from here on reopens the upload so completing can be retried
+  let rejection;
+  let queued;
+  try {
+    rejection = await screenUpload(file, { userId: req.user.id });
+    if (!rejection) {
+      queued = await queueDocument(req.user.id, file, session.title);
+    }
+  } catch (error) {
+    await releaseUploadSession(session, file.key);
+    throw error;
+  }
+
+  if (rejection) {
+    await abortUploadSession(session);
+    throw new ValidationError(rejection.message, { code: rejection.code });
+  }
+
+  const { document, job } = queued;
+  await finishUploadSession(session, document._id);
+
+  res.status(202).json({
+    success: true,
+    message: "Document uploaded and queued for processing",
+    data: {
+      ...formatDocumentResponse(document),
+      job: formatJob(job)
+    }
+  });
+});
+
+/**
+ * Cancel a resumable upload and delete the chunks received so far
+ * @route DELETE /api/documents/uploads/:uploadId
+ * @access Private
+ */
+export const cancelUpload = asyncHandler(async (req, res) => {
+  const session = await findUserUpload(req, res);
+
+  if (!isCancellable(session)) {
+    throw new ConflictError(
+      session.status === "completed" ? "This upload is already completed" : "This upload is being completed",
+      { code: "UPLOAD_COMPLETED" }
+    );
+  }
+
+  await abortUploadSession(session);
+
+  res.status(200).json({
+    success: true,
+    message: "Upload cancelled"
+  });
+});
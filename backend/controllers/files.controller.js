@@ -0,0 +1,63 @@
+import path from "path";
+import { verifyKeySignature } from "../services/storage/index.js";
+import { sendStoredFile } from "../services/storage/http.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { ForbiddenError, NotFoundError } from "../utils/errors.js";
+
+// ==================== CONSTANTS ====================
+
+const IMAGE_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp"
+};
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Serve a profile image
+ * @route GET /api/files/profiles/:fileName
+ * @access Public
+ */
+export const getProfileImage = asyncHandler(async (req, res) => {
+  const { fileName } = req.params;
+  const contentType = IMAGE_TYPES[path.extname(fileName).toLowerCase()];
+
+  if (!contentType || fileName !== path.basename(fileName)) {
+    throw new NotFoundError("File not found");
+  }
+
+  await sendStoredFile(req, res, `profiles/${fileName}`, {
+    contentType,
+    disposition: "inline",
+    headers: {
+      "Cache-Control": "public, max-age=86400",
+      // Shown by the frontend, which runs on another origin
+      "Cross-Origin-Resource-Policy": "cross-origin"
+    }
+  });
+});
+
+/**
+ * Serve a file through a signed link of the local storage driver
+ * @route GET /api/files/signed/*key?expires=&fileName=&contentType=&disposition=&signature=
+ * @access Public (signature required)
+ */
+export const getSignedFile = asyncHandler(async (req, res) => {
+  const key = [].concat(req.params.key).join("/");
+
+  if (!verifyKeySignature(key, req.query)) {
+    throw new ForbiddenError("Link is invalid or has expired", { code: "INVALID_SIGNATURE" });
+  }
+
+  const { fileName, contentType, disposition } = req.query;
+
+  await sendStoredFile(req, res, key, {
+    contentType: contentType || undefined,
+    fileName: fileName || undefined,
+    disposition: disposition === "inline" ? "inline" : "attachment",
+    headers: { "Cache-Control": "private, no-store, no-transform" }
+  });
+});
@@ -0,0 +1,417 @@
+import mongoose from "mongoose";
+import Document from "../models/Documents.js";
+import Flashcard from "../models/FlashCards.js";
+import { enqueueJob, formatJob } from "../services/jobs/index.js";
+import { DIFFICULTIES } from "../services/quizGenerator.js";
+import { REVIEW_GRADES, scheduleReview } from "../services/spacedRepetition.js";
+import { dayKeyIn } from "../services/learningStats.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { NotFoundError, ValidationError } from "../utils/errors.js";
+
+const DEFAULT_CARD_COUNT = 10;
+const MAX_CARD_COUNT = 50;
+const DEFAULT_DUE_LIMIT = 50;
+const MAX_DUE_LIMIT = 200;
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Format deck summary for listings (no cards)
+ * @param {Object} deck - Flashcard deck
+ * @returns {Object} Deck summary
+ */
+const formatDeckSummary = (deck) => ({
+  _id: deck._id,
+  documentId: deck.documentId,
+  title: deck.title,
+  topic: deck.topic,
+  isStarred: deck.isStarred,
+  cardCount: deck.cards.length,
+  starredCount: deck.cards.filter((card) => card.isStarred).length,
+  createdAt: deck.createdAt,
+  updatedAt: deck.updatedAt
+});
+
+/**
+ * Pick the editable card fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { updates, error }
+ */
+const pickCardFields = (body) => {
+  const updates = {};
+
+  for (const field of ["question", "answer"]) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== "string" || !body[field].trim()) {
+        return { error: `Card ${field} cannot be empty` };
+      }
+      updates[field] = body[field].trim();
+    }
+  }
+
+  if (body.difficulty !== undefined) {
+    if (!DIFFICULTIES.includes(body.difficulty)) {
+      return { error: `Difficulty must be one of ${DIFFICULTIES.join(", ")}` };
+    }
+    updates.difficulty = body.difficulty;
+  }
+
+  if (body.isStarred !== undefined) {
+    updates.isStarred = Boolean(body.isStarred);
+  }
+
+  return { updates };
+};
+
+/**
+ * Find a deck owned by the current user
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Deck
+ */
+const findUserDeck = (req) => Flashcard.findOne({ _id: req.params.id, userId: req.user.id });
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Queue flashcard generation for a document. The job result holds the `deckId`.
+ * @route POST /api/flashcards/generate/:documentId
+ * @access Private
+ */
+export const generateDeck = asyncHandler(async (req, res) => {
+  const { topic, title } = req.body;
+  const count = Math.min(
+    Math.max(parseInt(req.body.count, 10) || DEFAULT_CARD_COUNT, 1),
+    MAX_CARD_COUNT
+  );
+
+  const document = await Document.exists({
+    _id: req.params.documentId,
+    userId: req.user.id,
+    status: "ready"
+  });
+
+  if (!document) {
+    throw new NotFoundError("Document not found or not processed yet");
+  }
+
+  const job = await enqueueJob("generate-flashcards", {
+    userId: req.user.id,
+    documentId: document._id,
+    payload: { count, topic: topic?.trim() || null, title: title?.trim() || null }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: "Flashcard generation queued",
+    data: { job: formatJob(job) }
+  });
+});
+
+/**
+ * List the user's decks, optionally only starred ones
+ * @route GET /api/flashcards?starred=true
+ * @access Private
+ */
+export const getDecks = asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  if (req.query.starred === "true") {
+    filter.isStarred = true;
+  }
+
+  const decks = await Flashcard.find(filter).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: "Flashcard decks fetched successfully",
+    data: decks.map(formatDeckSummary)
+  });
+});
+
+/**
+ * List the user's decks for one document
+ * @route GET /api/flashcards/document/:documentId
+ * @access Private
+ */
+export const getDocumentDecks = asyncHandler(async (req, res) => {
+  const decks = await Flashcard.find({ userId: req.user.id, documentId: req.params.documentId })
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: "Flashcard decks fetched successfully",
+    data: decks.map(formatDeckSummary)
+  });
+});
+
+/**
+ * Get a deck with its cards
+ * @route GET /api/flashcards/:id
+ * @access Private
+ */
+export const getDeckById = asyncHandler(async (req, res) => {
+  const deck = await findUserDeck(req);
+
+  if (!deck) {
+    throw new NotFoundError("Flashcard deck not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Flashcard deck fetched successfully",
+    data: deck
+  });
+});
+
+/**
+ * Rename a deck
+ * @route PUT /api/flashcards/:id
+ * @access Private
+ */
+export const updateDeck = asyncHandler(async (req, res) => {
+  const { title } = req.body;
+
+  if (!title || !title.trim()) {
+    throw new ValidationError("Title is required");
+  }
+
+  const deck = await Flashcard.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user.id },
+    { title: title.trim() },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!deck) {
+    throw new NotFoundError("Flashcard deck not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Flashcard deck updated successfully",
+    data: formatDeckSummary(deck)
+  });
+});
+
+/**
+ * Star or unstar a deck (toggles when `isStarred` is not given)
+ * @route PATCH /api/flashcards/:id/star
+ * @access Private
+ */
+export const starDeck = asyncHandler(async (req, res) => {
+  const deck = await findUserDeck(req);
+
+  if (!deck) {
+    throw new NotFoundError("Flashcard deck not found");
+  }
+
+  deck.isStarred = req.body.isStarred !== undefined ? Boolean(req.body.isStarred) : !deck.isStarred;
+  await deck.save();
+
+  res.status(200).json({
+    success: true,
+    message: deck.isStarred ? "Flashcard deck starred" : "Flashcard deck unstarred",
+    data: formatDeckSummary(deck)
+  });
+});
+
+/**
+ * Delete a deck
+ * @route DELETE /api/flashcards/:id
+ * @access Private
+ */
+export const deleteDeck = asyncHandler(async (req, res) => {
+  const deck = await Flashcard.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+  if (!deck) {
+    throw new NotFoundError("Flashcard deck not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Flashcard deck deleted successfully"
+  });
+});
+
+/**
+ * Add a card to a deck
+ * @route POST /api/flashcards/:id/cards
+ * @access Private
+ */
+export const addCard = asyncHandler(async (req, res) => {
+  const { updates, error } = pickCardFields(req.body);
+
+  if (error || !updates.question || !updates.answer) {
+    throw new ValidationError(error || "Card question and answer are required");
+  }
+
+  const deck = await findUserDeck(req);
+
+  if (!deck) {
+    throw new NotFoundError("Flashcard deck not found");
+  }
+
+  deck.cards.push(updates);
+  await deck.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Card added successfully",
+    data: deck.cards[deck.cards.length - 1]
+  });
+});
+
+/**
+ * Edit a card
+ * @route PUT /api/flashcards/:id/cards/:cardId
+ * @access Private
+ */
+export const updateCard = asyncHandler(async (req, res) => {
+  const { updates, error } = pickCardFields(req.body);
+
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  const deck = await findUserDeck(req);
+  const card = deck?.cards.id(req.params.cardId);
+
+  if (!card) {
+    throw new NotFoundError("Card not found");
+  }
+
+  card.set(updates);
+  await deck.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Card updated successfully",
+    data: card
+  });
+});
+
+/**
+ * Star or unstar a card (toggles when `isStarred` is not given)
+ * @route PATCH /api/flashcards/:id/cards/:cardId/star
+ * @access Private
+ */
+export const starCard = asyncHandler(async (req, res) => {
+  const deck = await findUserDeck(req);
+  const card = deck?.cards.id(req.params.cardId);
+
+  if (!card) {
+    throw new NotFoundError("Card not found");
+  }
+
+  card.isStarred = req.body.isStarred !== undefined ? Boolean(req.body.isStarred) : !card.isStarred;
+  await deck.save();
+
+  res.status(200).json({
+    success: true,
+    message: card.isStarred ? "Card starred" : "Card unstarred",
+    data: card
+  });
+});
+
+/**
+ * Delete a card
+ * @route DELETE /api/flashcards/:id/cards/:cardId
+ * @access Private
+ */
+export const deleteCard = asyncHandler(async (req, res) => {
+  const deck = await findUserDeck(req);
+  const card = deck?.cards.id(req.params.cardId);
+
+  if (!card) {
+    throw new NotFoundError("Card not found");
+  }
+
+  card.deleteOne();
+  await deck.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Card deleted successfully"
+  });
+});
+
+/**
+ * Review a card with a recall grade and reschedule it
+ * @route POST /api/flashcards/:id/cards/:cardId/review
+ * @access Private
+ */
+export const reviewCard = asyncHandler(async (req, res) => {
+  const { grade } = req.body;
+
+  if (!REVIEW_GRADES.includes(grade)) {
+    throw new ValidationError(`Grade must be one of ${REVIEW_GRADES.join(", ")}`);
+  }
+
+  const deck = await findUserDeck(req);
+  const card = deck?.cards.id(req.params.cardId);
+
+  if (!card) {
+    throw new NotFoundError("Card not found");
+  }
+
+  card.set(scheduleReview(card, grade));
+  await deck.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Card reviewed successfully",
+    data: card
+  });
+});
+
+/**
+ * Cards due today across all the user's decks: overdue cards first,
+ * then new (never reviewed) cards. "Today" is the calendar day in the
+ * learner's time zone, as on the dashboard.
+ * @route GET /api/flashcards/due?limit=50&timezone=Europe/Berlin
+ * @access Private
+ */
+export const getDueCards = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_DUE_LIMIT, 1), MAX_DUE_LIMIT);
+  const timeZone = req.query.timezone || "UTC";
+  const today = dayKeyIn(timeZone)(new Date());
+  const dueDay = { $dateToString: { format: "%Y-%m-%d", date: "$cards.dueDate", timezone: timeZone } };
+
+  const dueCards = await Flashcard.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(req.user.id) } },
+    { $unwind: "$cards" },
+    { $match: { $or: [{ "cards.dueDate": null }, { $expr: { $lte: [dueDay, today] } }] } },
+    { $addFields: { isNew: { $eq: [{ $ifNull: ["$cards.dueDate", null] }, null] } } },
+    { $sort: { isNew: 1, "cards.dueDate": 1, createdAt: 1 } },
+    {
+      $facet: {
+        cards: [
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              deckId: "$_id",
+              deckTitle: "$title",
+              documentId: 1,
+              isNew: 1,
+              card: "$cards"
+            }
+          }
+        ],
+        total: [{ $count: "count" }]
+      }
+    }
+  ]);
+
+  const [{ cards, total }] = dueCards;
+
+  res.status(200).json({
+    success: true,
+    message: "Due cards fetched successfully",
+    data: {
+      total: total[0]?.count || 0,
+      cards
+    }
+  });
+});
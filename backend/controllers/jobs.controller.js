@@ -0,0 +1,51 @@
+import Job, { JOB_STATUSES, JOB_TYPES } from "../models/Job.js";
+import { formatJob } from "../services/jobs/index.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const DEFAULT_JOB_LIMIT = 20;
+const MAX_JOB_LIMIT = 100;
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Get the status and progress of a job
+ * @route GET /api/jobs/:id
+ * @access Private
+ */
+export const getJob = asyncHandler(async (req, res) => {
+  const job = await Job.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!job) {
+    throw new NotFoundError("Job not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Job fetched successfully",
+    data: formatJob(job)
+  });
+});
+
+/**
+ * List the user's recent jobs, newest first
+ * @route GET /api/jobs?status=&type=&documentId=&limit=20
+ * @access Private
+ */
+export const getJobs = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_JOB_LIMIT, 1), MAX_JOB_LIMIT);
+  const { status, type, documentId } = req.query;
+
+  const filter = { userId: req.user.id };
+  if (JOB_STATUSES.includes(status)) filter.status = status;
+  if (JOB_TYPES.includes(type)) filter.type = type;
+  if (documentId) filter.documentId = documentId;
+
+  const jobs = await Job.find(filter).sort({ createdAt: -1 }).limit(limit);
+
+  res.status(200).json({
+    success: true,
+    message: "Jobs fetched successfully",
+    data: jobs.map(formatJob)
+  });
+});
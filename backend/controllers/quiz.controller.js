@@ -0,0 +1,311 @@
+import Document from "../models/Documents.js";
+import Quiz from "../models/Quiz.js";
+import { enqueueJob, formatJob } from "../services/jobs/index.js";
+import { withUsageContext } from "../services/llm/index.js";
+import { assertAiQuota } from "../services/quotas.js";
+import {
+  checkAnswer,
+  gradeAnswer,
+  questionType,
+  recordAnswer,
+  completeAttempt,
+  startRetake,
+  formatQuizForTaking,
+  formatQuizResults
+} from "../services/quizGrader.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { ConflictError, NotFoundError, ValidationError } from "../utils/errors.js";
+
+const DEFAULT_QUESTION_COUNT = 10;
+const MAX_QUESTION_COUNT = 30;
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Format quiz summary for listings (no questions)
+ * @param {Object} quiz - Quiz document
+ * @returns {Object} Quiz summary
+ */
+const formatQuizSummary = (quiz) => ({
+  _id: quiz._id,
+  documentId: quiz.documentId,
+  title: quiz.title,
+  topic: quiz.topic,
+  totalQuestions: quiz.totalQuestions,
+  score: quiz.score,
+  completedAt: quiz.completedAt,
+  createdAt: quiz.createdAt
+});
+
+/**
+ * Check a submitted answer against the quiz
+ * @param {Object} quiz - Quiz document
+ * @param {Object} answer - { questionIndex, selectedAnswer }
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateAnswer = (quiz, { questionIndex, selectedAnswer }) => {
+  if (!Number.isInteger(questionIndex) || questionIndex < 0 || questionIndex >= quiz.questions.length) {
+    return `Invalid question index: ${questionIndex}`;
+  }
+  const problem = checkAnswer(quiz.questions[questionIndex], selectedAnswer);
+  if (problem) {
+    return `Answer to question ${questionIndex} ${problem}`;
+  }
+  return null;
+};
+
+/**
+ * Grade answers and record them on the current attempt. Short answers are
+ * graded by the model, all at once, and counted as the user's quiz usage.
+ * When one cannot be graded, none is recorded so the learner can resubmit.
+ * @param {Object} quiz - Quiz document (mutated)
+ * @param {Array<Object>} answers - Validated { questionIndex, selectedAnswer }
+ * @throws {AppError} 429 AI_QUOTA_EXCEEDED when short answers need grading and the user's AI allowance is used up
+ */
+const gradeAnswers = async (quiz, answers) => {
+  if (answers.some(({ questionIndex }) => questionType(quiz.questions[questionIndex]) === "short-answer")) {
+    await assertAiQuota(quiz.userId);
+  }
+
+  const grades = await withUsageContext(
+    { userId: quiz.userId, feature: "quiz", documentId: quiz.documentId },
+    () => Promise.all(answers.map(({ questionIndex, selectedAnswer }) =>
+      gradeAnswer(quiz.questions[questionIndex], selectedAnswer)
+    ))
+  );
+
+  answers.forEach(({ questionIndex, selectedAnswer }, i) => recordAnswer(quiz, questionIndex, selectedAnswer, grades[i]));
+};
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Queue quiz generation for a document. The job result holds the `quizId`.
+ * With `adaptive: true` the quiz targets passages behind the user's earlier
+ * wrong answers, picks its difficulty from their recent accuracy and skips
+ * questions they have mastered; `difficulty` is then ignored.
+ * `types` picks the question types to mix in (multiple choice by default).
+ * @route POST /api/quiz/generate/:documentId
+ * @access Private
+ */
+export const generateQuiz = asyncHandler(async (req, res) => {
+  const { difficulty = "mixed", topic, title, adaptive = false, types = ["multiple-choice"] } = req.body;
+  const count = Math.min(
+    Math.max(parseInt(req.body.count, 10) || DEFAULT_QUESTION_COUNT, 1),
+    MAX_QUESTION_COUNT
+  );
+
+  const document = await Document.exists({
+    _id: req.params.documentId,
+    userId: req.user.id,
+    status: "ready"
+  });
+
+  if (!document) {
+    throw new NotFoundError("Document not found or not processed yet");
+  }
+
+  const job = await enqueueJob("generate-quiz", {
+    userId: req.user.id,
+    documentId: document._id,
+    payload: {
+      count,
+      difficulty: adaptive ? null : difficulty,
+      adaptive,
+      types: [...new Set(types)],
+      topic: topic?.trim() || null,
+      title: title?.trim() || null
+    }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: "Quiz generation queued",
+    data: { job: formatJob(job) }
+  });
+});
+
+/**
+ * List the user's quizzes, optionally for one document
+ * @route GET /api/quiz?documentId=...
+ * @access Private
+ */
+export const getQuizzes = asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  if (req.query.documentId) {
+    filter.documentId = req.query.documentId;
+  }
+
+  const quizzes = await Quiz.find(filter).select("-questions -userAnswers").sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: "Quizzes fetched successfully",
+    data: quizzes.map(formatQuizSummary)
+  });
+});
+
+/**
+ * Delete a quiz
+ * @route DELETE /api/quiz/:id
+ * @access Private
+ */
+export const deleteQuiz = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+  if (!quiz) {
+    throw new NotFoundError("Quiz not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Quiz deleted successfully"
+  });
+});
+
+/**
+ * Get a quiz to take (without correct answers)
+ * @route GET /api/quiz/:id
+ * @access Private
+ */
+export const getQuizById = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!quiz) {
+    throw new NotFoundError("Quiz not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Quiz fetched successfully",
+    data: formatQuizForTaking(quiz)
+  });
+});
+
+/**
+ * Answer a single question. The attempt completes once every question is answered.
+ * @route POST /api/quiz/:id/answer
+ * @access Private
+ */
+export const submitAnswer = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!quiz) {
+    throw new NotFoundError("Quiz not found");
+  }
+
+  if (quiz.completedAt) {
+    throw new ConflictError("Quiz already completed, start a retake to answer again");
+  }
+
+  const answer = { questionIndex: req.body.questionIndex, selectedAnswer: req.body.selectedAnswer };
+  const invalid = validateAnswer(quiz, answer);
+  if (invalid) {
+    throw new ValidationError(invalid);
+  }
+
+  await gradeAnswers(quiz, [answer]);
+  if (quiz.userAnswers.length === quiz.totalQuestions) {
+    completeAttempt(quiz);
+  }
+  await quiz.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Answer recorded successfully",
+    data: {
+      answered: quiz.userAnswers.length,
+      totalQuestions: quiz.totalQuestions,
+      completed: Boolean(quiz.completedAt),
+      score: quiz.completedAt ? quiz.score : undefined
+    }
+  });
+});
+
+/**
+ * Submit answers (all or the remaining ones) and complete the attempt.
+ * Unanswered questions count as wrong.
+ * @route POST /api/quiz/:id/submit
+ * @access Private
+ */
+export const submitQuiz = asyncHandler(async (req, res) => {
+  const answers = req.body.answers || [];
+
+  if (!Array.isArray(answers)) {
+    throw new ValidationError("Answers must be an array");
+  }
+
+  const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!quiz) {
+    throw new NotFoundError("Quiz not found");
+  }
+
+  if (quiz.completedAt) {
+    throw new ConflictError("Quiz already completed, start a retake to answer again");
+  }
+
+  const invalid = answers.map((answer) => validateAnswer(quiz, answer)).filter(Boolean);
+  if (invalid.length) {
+    throw new ValidationError("Some answers are invalid", { details: invalid });
+  }
+
+  await gradeAnswers(quiz, answers);
+  completeAttempt(quiz);
+  await quiz.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Quiz submitted successfully",
+    data: formatQuizResults(quiz)
+  });
+});
+
+/**
+ * Get the results of the completed attempt
+ * @route GET /api/quiz/:id/results
+ * @access Private
+ */
+export const getQuizResults = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!quiz) {
+    throw new NotFoundError("Quiz not found");
+  }
+
+  if (!quiz.completedAt) {
+    throw new ConflictError("Results are available once the quiz is completed");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Quiz results fetched successfully",
+    data: formatQuizResults(quiz)
+  });
+});
+
+/**
+ * Start a new attempt, keeping the completed one in the attempt history
+ * @route POST /api/quiz/:id/retake
+ * @access Private
+ */
+export const retakeQuiz = asyncHandler(async (req, res) => {
+  const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!quiz) {
+    throw new NotFoundError("Quiz not found");
+  }
+
+  if (!quiz.completedAt) {
+    throw new ConflictError("Complete the current attempt before retaking the quiz");
+  }
+
+  startRetake(quiz);
+  await quiz.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Quiz retake started",
+    data: formatQuizForTaking(quiz)
+  });
+});
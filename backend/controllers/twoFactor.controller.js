@@ -0,0 +1,174 @@
+import bcrypt from "bcryptjs";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
+import { encryptSecret, decryptSecret } from "../utils/encryption.js";
+import { TWO_FACTOR_FIELDS, generateRecoveryCodes, consumeSecondFactor } from "../services/twoFactor.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { AuthError, ConflictError, NotFoundError, ValidationError } from "../utils/errors.js";
+
+// ==================== CONTROLLERS ====================
+
+/**
+ * Get whether 2FA is enabled and how many recovery codes are left
+ * @route GET /api/auth/2fa
+ * @access Private
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select("+twoFactorRecoveryCodes");
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Two-factor status fetched successfully", 
+    data: {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesLeft: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+    } 
+  });
+});
+
+/**
+ * Start enrolling: create a secret and return it as an otpauth URI and QR code.
+ * 2FA is not active until the secret is confirmed with a code.
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError("Two-factor authentication is already enabled", { code: "TWO_FACTOR_ALREADY_ENABLED" });
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save();
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TOTP_ISSUER || "AI Learning Platform"
+  });
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Scan the QR code with your authenticator app, then confirm with a code", 
+    data: {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    } 
+  });
+});
+
+/**
+ * Confirm enrollment with a code from the app and get recovery codes
+ * @route POST /api/auth/2fa/enable
+ * @access Private
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select("+twoFactorPendingSecret");
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ConflictError("Start two-factor setup first", { code: "TWO_FACTOR_NOT_STARTED" });
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorPendingSecret), req.body.code);
+  if (step === null) {
+    throw new ValidationError("Invalid verification code", { code: "INVALID_2FA_CODE" });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastStep = step;
+  user.twoFactorRecoveryCodes = hashes;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  await user.save();
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Two-factor authentication enabled. Store these recovery codes somewhere safe, they are shown only once", 
+    data: { recoveryCodes: codes } 
+  });
+});
+
+/**
+ * Turn 2FA off. Needs the password and a current or recovery code.
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new ConflictError("Two-factor authentication is not enabled", { code: "TWO_FACTOR_NOT_ENABLED" });
+  }
+
+  if (!password || !(await bcrypt.compare(password, user.password)) || !(await consumeSecondFactor(user, code))) {
+    throw new AuthError("Invalid password or verification code", { code: "INVALID_CREDENTIALS" });
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorLastStep = undefined;
+  user.twoFactorRecoveryCodes = [];
+  await user.save();
+
+  res.status(200).json({ 
+    success: true, 
+    message: "Two-factor authentication disabled" 
+  });
+});
+
+/**
+ * Replace all recovery codes. Needs a current code from the app.
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!user.twoFactorEnabled) {
+    throw new ConflictError("Two-factor authentication is not enabled", { code: "TWO_FACTOR_NOT_ENABLED" });
+  }
+
+  // A recovery code must not be enough to mint new ones
+  if ((await consumeSecondFactor(user, req.body.code)) !== "totp") {
+    throw new AuthError("Invalid verification code", { code: "INVALID_2FA_CODE" });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save();
+
+  res.status(200).json({ 
+    success: true, 
+    message: "New recovery codes generated, the old ones no longer work", 
+    data: { recoveryCodes: codes } 
+  });
+});
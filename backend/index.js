@@ -32,9 +32,15 @@ import aiRoutes from "./routes/aiRoutes.js";
 import documentsRoutes from "./routes/documentsRoutes.js";
 import quizRoutes from "./routes/quizRoutes.js";
 import flashcardsRoutes from "./routes/flashcardsRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import filesRoutes from "./routes/filesRoutes.js";
+import jobsRoutes from "./routes/jobsRoutes.js";
+import dashboardRoutes from "./routes/dashboardRoutes.js";
 
 // Middleware Imports
 import errorHandler from "./middlewares/errorHandler.js";
+import { AppError, NotFoundError } from "./utils/errors.js";
+import { startWorker } from "./services/jobs/index.js";
 
 // Utility for ESM paths
 const __filename = fileURLToPath(import.meta.url);
@@ -58,7 +64,12 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:5173",
   credentials: true,
-  exposedHeaders: ["set-cookie"]
+  // Range headers let the PDF viewer load document files in parts;
+  // Upload-* and Location drive resumable uploads
+  exposedHeaders: [
+    "set-cookie", "Accept-Ranges", "Content-Range", "Content-Length", "Content-Disposition",
+    "Upload-Offset", "Upload-Length", "Location"
+  ]
 }));
 
 // Prevention of parameter pollution
@@ -81,6 +92,7 @@ app.use(compression());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per 15 mins
+  handler: (req, res, next) => next(new AppError("Too many requests, please try again later", { statusCode: 429, code: "RATE_LIMITED" }))
 });
 app.use("/api/", limiter);
 
@@ -127,9 +139,10 @@ app.use("/api/ai", aiRoutes);
 app.use("/api/documents", documentsRoutes);
 app.use("/api/quiz", quizRoutes);
 app.use("/api/flashcards", flashcardsRoutes);
-
-// Static file serving for uploads
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+app.use("/api/admin", adminRoutes);
+app.use("/api/files", filesRoutes);
+app.use("/api/jobs", jobsRoutes);
+app.use("/api/dashboard", dashboardRoutes);
 
 /**
  * 6. ERROR HANDLING
@@ -142,8 +155,8 @@ app.use(
 );
 
 // Final fallback for 404
-app.use((req, res) => {
-  res.status(404).json({ success: false, message: "Route not found" });
+app.use((req, res, next) => {
+  next(new NotFoundError("Route not found", { code: "ROUTE_NOT_FOUND" }));
 });
 
 app.use(errorHandler);
@@ -154,4 +167,11 @@ app.use(errorHandler);
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
   logger.info(`🚀 Server running on port ${port} in ${process.env.NODE_ENV || "development"} mode`);
-});
\ No newline at end of file
+});
+
+// Run queued jobs in this process too, unless dedicated workers (worker.js) handle them.
+// Defaults to on outside production so a single `npm run dev` is enough.
+const embeddedWorker = process.env.EMBEDDED_WORKER ?? (process.env.NODE_ENV === "production" ? "false" : "true");
+if (embeddedWorker === "true") {
+  startWorker();
+}
\ No newline at end of file
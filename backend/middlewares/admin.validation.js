@@ -0,0 +1,82 @@
+import { body, query } from "express-validator";
+import validate, { objectIdParam } from "./validate.js";
+import { ROLES } from "../models/User.js";
+import { REJECTION_REASONS } from "../models/RejectedUpload.js";
+import { QUOTA_FIELDS } from "../services/quotas.js";
+
+const paginationQuery = [
+    query("page")
+    .optional()
+    .isInt({ min: 1 }).withMessage("page must be a positive whole number")
+    .toInt(),
+    query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage("limit must be a whole number between 1 and 100")
+    .toInt()
+];
+
+export const userIdValidation=[
+    objectIdParam("id", "User"),
+    validate
+]
+
+export const contentIdValidation=[
+    objectIdParam("id", "Content"),
+    validate
+]
+
+export const listUsersValidation=[
+    ...paginationQuery,
+    query("search")
+    .optional()
+    .isString().withMessage("search must be text")
+    .isLength({ max: 200 }).withMessage("search must be at most 200 characters long"),
+    query("role")
+    .optional()
+    .isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(", ")}`),
+    query("status")
+    .optional()
+    .isIn(["active", "disabled"]).withMessage("Status must be active or disabled"),
+    validate
+]
+
+export const updateRoleValidation=[
+    objectIdParam("id", "User"),
+    body("role")
+    .isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(", ")}`),
+    validate
+]
+
+export const updateStatusValidation=[
+    objectIdParam("id", "User"),
+    body("disabled")
+    .isBoolean({ strict: true }).withMessage("disabled must be true or false"),
+    body("reason")
+    .optional({ values: "null" })
+    .isString().withMessage("Reason must be text")
+    .isLength({ max: 500 }).withMessage("Reason must be at most 500 characters long"),
+    validate
+]
+
+// Each limit is a whole number (0 = unlimited) or null for the default
+export const updateQuotaValidation=[
+    objectIdParam("id", "User"),
+    ...QUOTA_FIELDS.map((field) =>
+        body(field)
+        .optional({ values: "null" })
+        .custom((value) => Number.isInteger(value) && value >= 0)
+        .withMessage(`${field} must be a whole number of at least 0, or null for the default`)
+    ),
+    validate
+]
+
+export const listRejectedUploadsValidation=[
+    ...paginationQuery,
+    query("reason")
+    .optional()
+    .isIn(REJECTION_REASONS).withMessage(`Reason must be one of ${REJECTION_REASONS.join(", ")}`),
+    query("userId")
+    .optional()
+    .isMongoId().withMessage("User ID is invalid"),
+    validate
+]
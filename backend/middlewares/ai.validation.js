@@ -0,0 +1,37 @@
+import { body, query } from "express-validator";
+import validate, { objectIdParam } from "./validate.js";
+import { SUMMARY_STYLES } from "../services/summarizer.js";
+
+export const chatDocumentValidation=[
+    objectIdParam("documentId", "Document"),
+    validate
+]
+
+export const chatMessageValidation=[
+    objectIdParam("documentId", "Document"),
+    body("message")
+    .isString().withMessage("Message is required")
+    .trim()
+    .notEmpty().withMessage("Message is required")
+    .isLength({ max: 2000 }).withMessage("Message must be at most 2000 characters long"),
+    validate
+]
+
+export const summaryValidation=[
+    objectIdParam("documentId", "Document"),
+    body("style")
+    .optional()
+    .isIn(SUMMARY_STYLES).withMessage(`Style must be one of ${SUMMARY_STYLES.join(", ")}`),
+    body("refresh")
+    .optional()
+    .isBoolean({ strict: true }).withMessage("refresh must be true or false"),
+    validate
+]
+
+export const getSummaryValidation=[
+    objectIdParam("documentId", "Document"),
+    query("style")
+    .optional()
+    .isIn(SUMMARY_STYLES).withMessage(`Style must be one of ${SUMMARY_STYLES.join(", ")}`),
+    validate
+]
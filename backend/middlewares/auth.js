@@ -1,5 +1,7 @@
 // middlewares/auth.js
 import jwt from "jsonwebtoken";
+import { isSessionActive } from "../utils/session.js";
+import { AuthError } from "../utils/errors.js";
 
 const authMiddleware = (req, res, next) => {
   // 1. Get token from cookies or Authorization header
@@ -12,19 +14,30 @@ const authMiddleware = (req, res, next) => {
   const token = tokenFromCookie || tokenFromHeader;
 
   if (!token) {
-    return res.status(401).json({ message: "No token provided, authorization denied" });
+    return next(new AuthError("No token provided, authorization denied", { code: "TOKEN_MISSING" }));
   }
 
   // 2. Verify the token
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
-      return res.status(403).json({ message: "Invalid or expired token" });
+      return next(err.name === "TokenExpiredError"
+        ? new AuthError("Token expired", { code: "TOKEN_EXPIRED" })
+        : new AuthError("Invalid token", { code: "INVALID_TOKEN" }));
     }
 
-    // 3. Attach decoded payload to req.user
+    // 3. Reject tokens whose session was revoked (logout, session revoke)
+    try {
+      if (!(await isSessionActive(user.sid))) {
+        return next(new AuthError("Session has been revoked, please log in again", { code: "SESSION_REVOKED" }));
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    // 4. Attach decoded payload to req.user
     req.user = user;
 
-    // 4. Proceed to next middleware/route
+    // 5. Proceed to next middleware/route
     next();
   });
 };
@@ -1,22 +1,20 @@
 import { body } from "express-validator";
-export const registerValidation=[
-    body("name")
+import validate, { objectIdParam } from "./validate.js";
+import { passwordField } from "../utils/passwordPolicy.js";
+
+const nameField = () => body("name")
+    .trim()
     .notEmpty().withMessage("Name is required")
     .isLength({min:3}).withMessage("Name must be at least 3 characters long")
-    .isLength({max:30}).withMessage("Name must be at most 30 characters long"),
-    body("email")
+    .isLength({max:30}).withMessage("Name must be at most 30 characters long");
+
+const emailField = () => body("email")
+    .trim()
     .notEmpty().withMessage("Email is required")
-    .isEmail().withMessage("Email is invalid"),
-    body("password")
-    .notEmpty().withMessage("Password is required")
-    .isLength({ min: 8 }).withMessage("Password must be at least 8 characters long")
-    .isLength({ max: 30 }).withMessage("Password must be at most 30 characters long")
-    .matches(/[A-Z]/).withMessage("Password must contain at least one uppercase letter")
-    .matches(/[a-z]/).withMessage("Password must contain at least one lowercase letter")
-    .matches(/\d/).withMessage("Password must contain at least one number")
-    .matches(/[@$!%*?&]/).withMessage("Password must contain at least one special character (@$!%*?&)"),
-    body("profileImage")
-  .optional()
+    .isEmail().withMessage("Email is invalid");
+
+// The image arrives as req.file, not in the body, so this runs even when the field is absent
+const profileImageField = () => body("profileImage")
   .custom((value, { req }) => {
     if (!req.file) return true; 
     const allowedTypes = ["image/jpeg", "image/png"];
@@ -24,6 +22,86 @@ export const registerValidation=[
       throw new Error("Profile image must be JPG or PNG");
     }
     return true;
-  })
+  });
+
+const totpCodeField = (field = "code") => body(field)
+    .isString().withMessage("Verification code is required")
+    .trim()
+    .notEmpty().withMessage("Verification code is required")
+    .isLength({ max: 20 }).withMessage("Verification code is invalid");
+
+const tokenField = (field) => body(field)
+    .isString().withMessage(`${field} is required`)
+    .notEmpty().withMessage(`${field} is required`);
+
+export const registerValidation=[
+    nameField(),
+    emailField(),
+    passwordField("password"),
+    profileImageField(),
+    validate
+]
+
+export const loginValidation=[
+    emailField(),
+    body("password")
+    .isString().withMessage("Password is required")
+    .notEmpty().withMessage("Password is required"),
+    validate
+]
+
+export const updateProfileValidation=[
+    nameField().optional(),
+    profileImageField(),
+    validate
+]
+
+export const changePasswordValidation=[
+    body("oldPassword")
+    .isString().withMessage("Old password is required")
+    .notEmpty().withMessage("Old password is required"),
+    passwordField("newPassword"),
+    body("newPassword")
+    .custom((value, { req }) => value !== req.body.oldPassword).withMessage("New password must be different from the old one"),
+    validate
+]
+
+export const verifyEmailValidation=[
+    tokenField("token"),
+    validate
+]
+
+export const forgotPasswordValidation=[
+    emailField(),
+    validate
+]
+
+export const resetPasswordValidation=[
+    tokenField("token"),
+    passwordField("password"),
+    validate
+]
+
+export const twoFactorLoginValidation=[
+    tokenField("challengeToken"),
+    totpCodeField(),
+    validate
+]
+
+export const twoFactorCodeValidation=[
+    totpCodeField(),
+    validate
+]
+
+export const disableTwoFactorValidation=[
+    body("password")
+    .isString().withMessage("Password is required")
+    .notEmpty().withMessage("Password is required"),
+    totpCodeField(),
+    validate
+]
 
-]
\ No newline at end of file
+export const sessionIdValidation=[
+    objectIdParam("id", "Session"),
+    validate
+]
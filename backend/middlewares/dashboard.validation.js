@@ -0,0 +1,15 @@
+import { query } from "express-validator";
+import validate from "./validate.js";
+import { isValidTimeZone } from "../services/learningStats.js";
+
+export const dashboardStatsValidation=[
+    query("days")
+    .optional()
+    .isInt({ min: 7, max: 365 }).withMessage("days must be a whole number between 7 and 365")
+    .toInt(),
+    query("timezone")
+    .optional()
+    .isString().withMessage("timezone must be a time zone name such as Europe/Berlin")
+    .custom(isValidTimeZone).withMessage("timezone must be a time zone name such as Europe/Berlin"),
+    validate
+]
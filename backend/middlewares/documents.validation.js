@@ -0,0 +1,100 @@
+import { body, header, query } from "express-validator";
+import validate, { objectIdParam } from "./validate.js";
+
+const titleField = () => body("title")
+    .isString().withMessage("Title must be text")
+    .trim()
+    .isLength({ max: 200 }).withMessage("Title must be at most 200 characters long");
+
+export const uploadDocumentValidation=[
+    titleField().optional(),
+    validate
+]
+
+export const documentIdValidation=[
+    objectIdParam("id", "Document"),
+    validate
+]
+
+export const searchDocumentValidation=[
+    objectIdParam("id", "Document"),
+    query("q")
+    .isString().withMessage("Search query is required")
+    .trim()
+    .notEmpty().withMessage("Search query is required")
+    .isLength({ max: 500 }).withMessage("Search query must be at most 500 characters long"),
+    query("k")
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage("k must be a whole number between 1 and 20")
+    .toInt(),
+    validate
+]
+
+export const updateDocumentValidation=[
+    objectIdParam("id", "Document"),
+    titleField()
+    .notEmpty().withMessage("Title is required"),
+    validate
+]
+
+const downloadField = () => query("download")
+    .optional()
+    .isBoolean().withMessage("download must be true or false")
+
+export const downloadDocumentValidation=[
+    objectIdParam("id", "Document"),
+    downloadField(),
+    validate
+]
+
+export const documentFileLinkValidation=[
+    objectIdParam("id", "Document"),
+    downloadField(),
+    query("expiresIn")
+    .optional()
+    .isInt({ min: 30, max: 3600 }).withMessage("expiresIn must be between 30 and 3600 seconds")
+    .toInt(),
+    validate
+]
+
+const checksumField = () => body("checksum")
+    .optional({ values: "null" })
+    .isString().withMessage("Checksum must be text")
+    .trim()
+    .isHash("sha256").withMessage("Checksum must be a hex SHA-256 digest")
+
+export const createUploadValidation=[
+    body("fileName")
+    .isString().withMessage("File name is required")
+    .trim()
+    .notEmpty().withMessage("File name is required")
+    .isLength({ max: 255 }).withMessage("File name must be at most 255 characters long"),
+    body("mimeType")
+    .isString().withMessage("MIME type is required")
+    .trim()
+    .notEmpty().withMessage("MIME type is required"),
+    body("size")
+    .isInt({ min: 1 }).withMessage("Size must be a positive whole number of bytes")
+    .toInt(),
+    checksumField(),
+    titleField().optional({ values: "null" }),
+    validate
+]
+
+export const uploadIdValidation=[
+    objectIdParam("uploadId", "Upload"),
+    validate
+]
+
+export const uploadChunkValidation=[
+    objectIdParam("uploadId", "Upload"),
+    header("upload-offset")
+    .isInt({ min: 0 }).withMessage("Upload-Offset header must be a whole number of bytes"),
+    validate
+]
+
+export const completeUploadValidation=[
+    objectIdParam("uploadId", "Upload"),
+    checksumField(),
+    validate
+]
@@ -1,56 +1,94 @@
-const errorHandler = (err, req, res, next) => {
-    let statusCode = err.statusCode || 500
-    let message = err.message || "Server Error"
+import multer from "multer"
+import { AppError, AuthError, ConflictError, NotFoundError, UpstreamAIError, ValidationError } from "../utils/errors.js"
+import { LLMOutputError, LLMProviderError } from "../services/llm/index.js"
+import { discardUpload, uploadErrorFor } from "../config/multer.config.js"
+
+/**
+ * Turn known library errors into AppErrors
+ * @param {Error} err - Error thrown while handling the request
+ * @returns {AppError|Error} AppError when the error is recognised
+ */
+const toAppError = (err) => {
+    if (err instanceof AppError) return err
 
     // Mongoose bad ObjectId
     if (err.name === "CastError") {
-        message = "Resource not found"
-        statusCode = 404
+        return new NotFoundError("Resource not found")
     }
 
     // Mongoose duplicate key
     if (err.code === 11000) {
-        const field = Object.keys(err.keyValue)[0]
-        message = `${field} already exists`
-        statusCode = 400
+        const field = Object.keys(err.keyValue || {})[0] || "value"
+        return new ConflictError(`${field} already exists`, { code: "DUPLICATE_KEY", details: [{ field }] })
     }
 
     // Mongoose validation error
     if (err.name === "ValidationError") {
-        message = Object.values(err.errors)
-            .map((val) => val.message)
-            .join(", ")
-        statusCode = 400
+        return new ValidationError("Validation failed", {
+            details: Object.values(err.errors).map((error) => ({ field: error.path, message: error.message }))
+        })
     }
 
-    // Multer file size error
-    if (err.code === "LIMIT_FILE_SIZE") {
-        message = "File size exceeds the maximum limit of 10MB"
-        statusCode = 400
+    // Multer errors (file too large, too many files...)
+    if (err instanceof multer.MulterError) {
+        return uploadErrorFor(err)
     }
 
     // JWT errors
+    if (err.name === "TokenExpiredError") {
+        return new AuthError("Token expired", { code: "TOKEN_EXPIRED" })
+    }
+
     if (err.name === "JsonWebTokenError") {
-        message = "Invalid token"
-        statusCode = 401
+        return new AuthError("Invalid token", { code: "INVALID_TOKEN" })
     }
 
-    if (err.name === "TokenExpiredError") {
-        message = "Token expired"
-        statusCode = 401
+    // Invalid JSON body
+    if (err.type === "entity.parse.failed") {
+        return new ValidationError("Request body is not valid JSON", { code: "INVALID_JSON" })
     }
 
-    console.error("Error:", {
-        message: err.message,
-        stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
-    })
+    if (err.type === "entity.too.large") {
+        return new AppError("Request body is too large", { statusCode: 413, code: "PAYLOAD_TOO_LARGE" })
+    }
+
+    // Model output that could not be used even after retries
+    if (err instanceof LLMOutputError) {
+        return new UpstreamAIError()
+    }
+
+    // Model unreachable (network, timeout, rate limit, 5xx) or refusing the request
+    if (err instanceof LLMProviderError) {
+        return err.retryable
+            ? new UpstreamAIError("The AI service is unavailable right now, please try again later", { statusCode: 503, code: "AI_UNAVAILABLE" })
+            : new UpstreamAIError("The AI service could not handle this request", { code: "AI_REQUEST_REJECTED" })
+    }
+
+    return err
+}
+
+/**
+ * Send every error as { success: false, message, code, details? }.
+ * Errors are logged by expressWinston.errorLogger before reaching here.
+ */
+const errorHandler = (err, req, res, next) => {
+    const error = toAppError(err)
+    const isAppError = error instanceof AppError
+    const statusCode = isAppError ? error.statusCode : 500
+
+    // A file uploaded for a failed request will never be used
+    discardUpload(req.file)
+
+    const isDevelopment = process.env.NODE_ENV === "development"
 
     res.status(statusCode).json({
         success: false,
-        error: message,
-        statusCode,
-        ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
+        // Unexpected errors may leak internals, so only development sees them
+        message: isAppError || isDevelopment ? error.message : "Internal server error",
+        code: isAppError ? error.code : "INTERNAL_ERROR",
+        ...(error.details && { details: error.details }),
+        ...(isDevelopment && { stack: err.stack }),
     })
 }
 
-export default errorHandler
\ No newline at end of file
+export default errorHandler
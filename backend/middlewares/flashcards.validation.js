@@ -0,0 +1,121 @@
+import { body, query } from "express-validator";
+import validate, { objectIdParam } from "./validate.js";
+import { DIFFICULTIES } from "../services/quizGenerator.js";
+import { REVIEW_GRADES } from "../services/spacedRepetition.js";
+import { isValidTimeZone } from "../services/learningStats.js";
+
+const titleField = () => body("title")
+    .isString().withMessage("Title must be text")
+    .trim()
+    .isLength({ max: 200 }).withMessage("Title must be at most 200 characters long");
+
+const cardTextField = (field) => body(field)
+    .isString().withMessage(`Card ${field} must be text`)
+    .trim()
+    .notEmpty().withMessage(`Card ${field} cannot be empty`)
+    .isLength({ max: 2000 }).withMessage(`Card ${field} must be at most 2000 characters long`);
+
+const cardFields = () => [
+    body("difficulty")
+    .optional()
+    .isIn(DIFFICULTIES).withMessage(`Difficulty must be one of ${DIFFICULTIES.join(", ")}`),
+    body("isStarred")
+    .optional()
+    .isBoolean({ strict: true }).withMessage("isStarred must be true or false")
+];
+
+const starField = () => body("isStarred")
+    .optional()
+    .isBoolean({ strict: true }).withMessage("isStarred must be true or false");
+
+export const generateDeckValidation=[
+    objectIdParam("documentId", "Document"),
+    body("count")
+    .optional()
+    .isInt({ min: 1 }).withMessage("count must be a positive whole number"),
+    body("topic")
+    .optional()
+    .isString().withMessage("Topic must be text")
+    .isLength({ max: 200 }).withMessage("Topic must be at most 200 characters long"),
+    titleField().optional(),
+    validate
+]
+
+export const listDecksValidation=[
+    query("starred")
+    .optional()
+    .isIn(["true", "false"]).withMessage("starred must be true or false"),
+    validate
+]
+
+export const dueCardsValidation=[
+    query("limit")
+    .optional()
+    .isInt({ min: 1 }).withMessage("limit must be a positive whole number"),
+    query("timezone")
+    .optional()
+    .isString().withMessage("timezone must be a time zone name such as Europe/Berlin")
+    .custom(isValidTimeZone).withMessage("timezone must be a time zone name such as Europe/Berlin"),
+    validate
+]
+
+export const documentDecksValidation=[
+    objectIdParam("documentId", "Document"),
+    validate
+]
+
+export const deckIdValidation=[
+    objectIdParam("id", "Flashcard deck"),
+    validate
+]
+
+export const updateDeckValidation=[
+    objectIdParam("id", "Flashcard deck"),
+    titleField()
+    .notEmpty().withMessage("Title is required"),
+    validate
+]
+
+export const starDeckValidation=[
+    objectIdParam("id", "Flashcard deck"),
+    starField(),
+    validate
+]
+
+export const addCardValidation=[
+    objectIdParam("id", "Flashcard deck"),
+    cardTextField("question"),
+    cardTextField("answer"),
+    ...cardFields(),
+    validate
+]
+
+export const updateCardValidation=[
+    objectIdParam("id", "Flashcard deck"),
+    objectIdParam("cardId", "Card"),
+    cardTextField("question").optional(),
+    cardTextField("answer").optional(),
+    ...cardFields(),
+    validate
+]
+
+export const cardIdValidation=[
+    objectIdParam("id", "Flashcard deck"),
+    objectIdParam("cardId", "Card"),
+    validate
+]
+
+export const starCardValidation=[
+    objectIdParam("id", "Flashcard deck"),
+    objectIdParam("cardId", "Card"),
+    starField(),
+    validate
+]
+
+export const reviewCardValidation=[
+    objectIdParam("id", "Flashcard deck"),
+    objectIdParam("cardId", "Card"),
+    body("grade")
+    .isIn(REVIEW_GRADES).withMessage(`Grade must be one of ${REVIEW_GRADES.join(", ")}`),
+    validate
+]
@@ -0,0 +1,25 @@
+import { query } from "express-validator";
+import validate, { objectIdParam } from "./validate.js";
+import { JOB_STATUSES, JOB_TYPES } from "../models/Job.js";
+
+export const jobIdValidation=[
+    objectIdParam("id", "Job"),
+    validate
+]
+
+export const listJobsValidation=[
+    query("status")
+    .optional()
+    .isIn(JOB_STATUSES).withMessage(`Status must be one of ${JOB_STATUSES.join(", ")}`),
+    query("type")
+    .optional()
+    .isIn(JOB_TYPES).withMessage(`Type must be one of ${JOB_TYPES.join(", ")}`),
+    query("documentId")
+    .optional()
+    .isMongoId().withMessage("Document ID is invalid"),
+    query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage("limit must be a whole number between 1 and 100")
+    .toInt(),
+    validate
+]
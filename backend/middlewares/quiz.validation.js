@@ -0,0 +1,77 @@
+import { body, query } from "express-validator";
+import validate, { objectIdParam } from "./validate.js";
+import { DIFFICULTIES } from "../services/quizGenerator.js";
+import { QUESTION_TYPES } from "../models/Quiz.js";
+
+const MAX_ANSWER_LENGTH = 2000;
+
+const answerFields = (prefix) => [
+    body(`${prefix}questionIndex`)
+    .isInt({ min: 0 }).withMessage("questionIndex must be a whole number from 0")
+    .toInt(),
+    // Text, or a list of options for multi-select and ordering questions
+    body(`${prefix}selectedAnswer`)
+    .custom((value) => {
+      const isAnswer = (text) => typeof text === "string" && text.trim() !== "" && text.length <= MAX_ANSWER_LENGTH;
+      return Array.isArray(value) ? value.length > 0 && value.every(isAnswer) : isAnswer(value);
+    }).withMessage(`selectedAnswer must be text of at most ${MAX_ANSWER_LENGTH} characters or a list of options`)
+];
+
+export const generateQuizValidation=[
+    objectIdParam("documentId", "Document"),
+    body("count")
+    .optional()
+    .isInt({ min: 1 }).withMessage("count must be a positive whole number"),
+    // A single level, "mixed", or weights such as { easy: 1, hard: 2 }
+    body("difficulty")
+    .optional()
+    .custom((value) => {
+      if (typeof value === "string") return value === "mixed" || DIFFICULTIES.includes(value);
+      return value !== null && typeof value === "object" && !Array.isArray(value) &&
+        Object.entries(value).every(([level, weight]) => DIFFICULTIES.includes(level) && Number(weight) >= 0);
+    }).withMessage(`Difficulty must be mixed, one of ${DIFFICULTIES.join(", ")}, or weights per difficulty`),
+    body("types")
+    .optional()
+    .isArray({ min: 1 }).withMessage("types must be a non-empty array")
+    .custom((types) => types.every((type) => QUESTION_TYPES.includes(type)))
+    .withMessage(`types must be among ${QUESTION_TYPES.join(", ")}`),
+    body("adaptive")
+    .optional()
+    .isBoolean({ strict: true }).withMessage("adaptive must be true or false"),
+    body("topic")
+    .optional()
+    .isString().withMessage("Topic must be text")
+    .isLength({ max: 200 }).withMessage("Topic must be at most 200 characters long"),
+    body("title")
+    .optional()
+    .isString().withMessage("Title must be text")
+    .isLength({ max: 200 }).withMessage("Title must be at most 200 characters long"),
+    validate
+]
+
+export const listQuizzesValidation=[
+    query("documentId")
+    .optional()
+    .isMongoId().withMessage("Document ID is invalid"),
+    validate
+]
+
+export const quizIdValidation=[
+    objectIdParam("id", "Quiz"),
+    validate
+]
+
+export const submitAnswerValidation=[
+    objectIdParam("id", "Quiz"),
+    ...answerFields(""),
+    validate
+]
+
+export const submitQuizValidation=[
+    objectIdParam("id", "Quiz"),
+    body("answers")
+    .optional()
+    .isArray().withMessage("Answers must be an array"),
+    ...answerFields("answers.*."),
+    validate
+]
@@ -0,0 +1,17 @@
+// middlewares/requireAiQuota.js
+import { assertAiQuota } from "../services/quotas.js";
+
+/**
+ * Only let users with AI requests and tokens left this month through.
+ * Must run after authMiddleware.
+ */
+const requireAiQuota = async (req, res, next) => {
+  try {
+    await assertAiQuota(req.user.id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requireAiQuota;
@@ -0,0 +1,27 @@
+// middlewares/requireRole.js
+import User from "../models/User.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+/**
+ * Only let users with one of the given roles through.
+ * The role is read from the database so a change applies immediately.
+ * Must run after authMiddleware.
+ * @param {...String} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("role isDisabled");
+
+    if (!user || user.isDisabled || !roles.includes(user.role)) {
+      return next(new ForbiddenError());
+    }
+
+    req.user.role = user.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requireRole;
@@ -0,0 +1,18 @@
+// middlewares/requireStorageQuota.js
+import { assertStorageQuota } from "../services/quotas.js";
+
+/**
+ * Only let users with room for another document through, before the
+ * upload is received. The size of the file is checked once it is known.
+ * Must run after authMiddleware.
+ */
+const requireStorageQuota = async (req, res, next) => {
+  try {
+    await assertStorageQuota(req.user.id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requireStorageQuota;
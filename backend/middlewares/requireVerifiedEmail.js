@@ -0,0 +1,23 @@
+// middlewares/requireVerifiedEmail.js
+import User from "../models/User.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+/**
+ * Only let users who confirmed their email through.
+ * Must run after authMiddleware.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("isEmailVerified");
+
+    if (!user?.isEmailVerified) {
+      return next(new ForbiddenError("Please verify your email address to use this feature", { code: "EMAIL_NOT_VERIFIED" }));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requireVerifiedEmail;
@@ -0,0 +1,27 @@
+// middlewares/scanUpload.js
+import { screenUpload } from "../services/uploadSafety/index.js";
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Check the uploaded file (req.file) after multer stored it: its content
+ * must match its type and pass the safety checks and malware scan.
+ * A rejected file is deleted and the reason recorded. Must run right after
+ * the multer middleware.
+ */
+const scanUpload = async (req, res, next) => {
+  const file = req.file;
+  if (!file) return next();
+
+  try {
+    const rejection = await screenUpload(file, { userId: req.user?.id || null });
+    if (!rejection) return next();
+
+    // Already deleted, leave nothing for the error handler to discard
+    req.file = undefined;
+    next(new ValidationError(rejection.message, { code: rejection.code }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default scanUpload;
@@ -0,0 +1,32 @@
+// middlewares/validate.js
+import { param, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Reject the request with field errors (ValidationError details) if any
+ * validation chain before it failed. Use as the last entry of a validation array.
+ */
+const validate = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) return next();
+
+  next(new ValidationError("Validation failed", {
+    details: result.array({ onlyFirstError: true }).map((error) => ({
+      field: error.path,
+      location: error.location,
+      message: error.msg
+    }))
+  }));
+};
+
+/**
+ * Chain checking that a route parameter is a MongoDB ObjectId, so a
+ * malformed ID is a 400 instead of a cast error
+ * @param {String} name - Parameter name
+ * @param {String} label - Name used in the message
+ * @returns {Object} Validation chain
+ */
+export const objectIdParam = (name, label) =>
+  param(name).isMongoId().withMessage(`${label} ID is invalid`);
+
+export default validate;
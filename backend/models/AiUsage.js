@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const aiUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      default: null,
+    },
+    // What the user was doing: chat, summary, quiz, flashcards, processing
+    feature: {
+      type: String,
+      required: true,
+    },
+    operation: {
+      type: String,
+      enum: ["generateText", "generateJSON", "embed"],
+      required: true,
+    },
+    provider: {
+      type: String,
+    },
+    model: {
+      type: String,
+    },
+    totalTokens: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("AiUsage", aiUsageSchema);
@@ -0,0 +1,198 @@
+import mongoose from "mongoose";
+
+const documentSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        title: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+
+        fileName: {
+            type: String,
+            required: true,
+        },
+
+        mimeType: {
+            type: String,
+            required: true,
+        },
+
+        fileSize: {
+            type: Number,
+            required: true,
+        },
+
+        // Key of the file in the storage driver, e.g. "documents/<file>"
+        storageKey: {
+            type: String,
+        },
+        // Local path of documents uploaded before storage drivers
+        filePath: {
+            type: String,
+        },
+
+        status: {
+            type: String,
+            enum: ["uploading", "queued", "processing", "ready", "failed"],
+            default: "uploading",
+        },
+
+        processingError: {
+            type: String,
+            default: null,
+        },
+
+        processingErrorCode: {
+            type: String,
+            enum: ["UNSUPPORTED_FORMAT", "MALFORMED_DOCUMENT", "ENCRYPTED_DOCUMENT", "EMPTY_DOCUMENT", "EXTRACTION_FAILED", "PROCESSING_FAILED", null],
+            default: null,
+        },
+
+        extractedText: {
+            type: String,
+            default: "",
+            select: false,
+        },
+
+        chunks: {
+            type: [
+                {
+                    content: {
+                        type: String,
+                        required: true,
+                    },
+
+                    chunkIndex: {
+                        type: Number,
+                        required: true,
+                    },
+
+                    pageNumber: {
+                        type: Number,
+                        default: null,
+                    },
+
+                    slideNumber: {
+                        type: Number,
+                        default: null,
+                    },
+
+                    heading: {
+                        type: String,
+                        default: null,
+                    },
+
+                    embedding: {
+                        type: [Number],
+                        default: undefined,
+                    },
+                },
+            ],
+            default: [],
+            select: false,
+        },
+
+        embeddingModel: {
+            type: String,
+            default: null,
+        },
+
+        // SHA-256 of extractedText, keys the summary cache
+        textHash: {
+            type: String,
+            default: null,
+        },
+
+        summaries: {
+            type: [
+                {
+                    style: {
+                        type: String,
+                        enum: ["tldr", "outline", "glossary"],
+                        required: true,
+                    },
+
+                    textHash: {
+                        type: String,
+                        required: true,
+                    },
+
+                    content: {
+                        type: String,
+                        default: null,
+                    },
+
+                    terms: [
+                        {
+                            term: String,
+                            definition: String,
+                        },
+                    ],
+
+                    model: {
+                        type: String,
+                        default: null,
+                    },
+
+                    createdAt: {
+                        type: Date,
+                        default: Date.now,
+                    },
+                },
+            ],
+            default: [],
+            select: false,
+        },
+
+        outline: [
+            {
+                text: {
+                    type: String,
+                    required: true,
+                },
+
+                level: {
+                    type: Number,
+                    default: 1,
+                },
+
+                pageNumber: {
+                    type: Number,
+                    default: null,
+                },
+
+                slideNumber: {
+                    type: Number,
+                    default: null,
+                },
+            },
+        ],
+
+        pageCount: {
+            type: Number,
+            default: 0,
+        },
+
+        processedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Index for listing a user's documents, newest first
+documentSchema.index({ userId: 1, createdAt: -1 });
+
+const Document = mongoose.model("Document", documentSchema);
+
+export default Document;
@@ -14,6 +14,17 @@ const flashcardSchema = new mongoose.Schema(
             required: true,
         },
 
+        title: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+
+        topic: {
+            type: String,
+            default: null,
+        },
+
         isStarred: {
             type: Boolean,
             default: false,
@@ -51,6 +62,33 @@ const flashcardSchema = new mongoose.Schema(
                     default: null
                 },
 
+                // Spaced repetition (SM-2) state
+                easeFactor: {
+                    type: Number,
+                    default: 2.5,
+                },
+
+                interval: {
+                    type: Number,
+                    default: 0,
+                },
+
+                repetitions: {
+                    type: Number,
+                    default: 0,
+                },
+
+                lapses: {
+                    type: Number,
+                    default: 0,
+                },
+
+                // null until the first review: new cards are always due
+                dueDate: {
+                    type: Date,
+                    default: null,
+                },
+
                 isStarred: {
                     type: Boolean,
                     default: false,
@@ -64,6 +102,7 @@ const flashcardSchema = new mongoose.Schema(
 );
 
 flashcardSchema.index({ userId: 1, documentId: 1 });
+flashcardSchema.index({ userId: 1, "cards.dueDate": 1 });
 
 const Flashcard = mongoose.model("Flashcard", flashcardSchema);
 
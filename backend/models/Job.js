@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+
+export const JOB_TYPES = ["process-document", "generate-summary", "generate-quiz", "generate-flashcards"];
+export const JOB_STATUSES = ["queued", "running", "completed", "failed"];
+
+// Finished jobs are removed after this long
+const FINISHED_JOB_TTL = 7 * 24 * 60 * 60;
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: JOB_TYPES,
+      required: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      default: null,
+    },
+
+    // Handler input, e.g. { style } for a summary
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+
+    progress: {
+      percent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0,
+      },
+      message: {
+        type: String,
+        default: null,
+      },
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+
+    // When the job may run next (later than now while backing off)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Worker holding the job and until when; an expired lock means the worker died
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // Handler output, e.g. { quizId }
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // Error of the last failed attempt, safe to show to the user
+    error: {
+      code: {
+        type: String,
+        default: null,
+      },
+      message: {
+        type: String,
+        default: null,
+      },
+    },
+
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: FINISHED_JOB_TTL });
+
+export default mongoose.model("Job", jobSchema);
@@ -1,5 +1,13 @@
 import mongoose from "mongoose";
 
+// How each type is answered:
+//   multiple-choice, true-false: one of `options` (the one with isCorrect)
+//   multi-select: any number of `options` (all those with isCorrect)
+//   fill-blank: text matching `correctAnswer` or one of `acceptedAnswers`
+//   short-answer: free text, graded by the model against `correctAnswer`
+//   ordering: every option, in the order given by `correctOrder`
+export const QUESTION_TYPES = ["multiple-choice", "true-false", "multi-select", "fill-blank", "short-answer", "ordering"];
+
 const quizSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -11,7 +19,27 @@ const quizSchema = new mongoose.Schema({
         ref: "Document",
         required: true
     },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    topic: {
+        type: String,
+        default: null
+    },
+    // Adaptive quizzes are tailored to what the learner got wrong before
+    mode: {
+        type: String,
+        enum: ["standard", "adaptive"],
+        default: "standard"
+    },
     questions: [{
+        type: {
+            type: String,
+            enum: QUESTION_TYPES,
+            default: "multiple-choice"
+        },
         question: {
             type: String,
             required: true
@@ -27,10 +55,21 @@ const quizSchema = new mongoose.Schema({
                 default: false
             }
         }],
+        // The answer as shown in results; the reference answer for short-answer questions
         correctAnswer: {
             type: String,
             required: true
         },
+        // Other spellings accepted for fill-blank questions
+        acceptedAnswers: {
+            type: [String],
+            default: undefined
+        },
+        // Options in the right order, for ordering questions (options are stored shuffled)
+        correctOrder: {
+            type: [String],
+            default: undefined
+        },
         explanation: {
             type: String,
             required: false
@@ -40,6 +79,10 @@ const quizSchema = new mongoose.Schema({
             enum: ["easy", "medium", "hard"],
             required: true,
             default: "medium"
+        },
+        sourceChunks: {
+            type: [Number],
+            default: []
         }
     }],
     userAnswers: [{
@@ -47,13 +90,28 @@ const quizSchema = new mongoose.Schema({
             type: Number,
             required: true
         },
+        // Text answer (multiple-choice, true-false, fill-blank, short-answer)
         selectedAnswer: {
             type: String,
-            required: true
+            default: null
+        },
+        // Picked options (multi-select) or options in the chosen order (ordering)
+        selectedAnswers: {
+            type: [String],
+            default: undefined
         },
         isCorrect: {
             type: Boolean,
             required: true
+        },
+        // Share of the question's point earned, 0-1 (partial credit)
+        credit: {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        feedback: {
+            type: String
         }
     }],
     score: {
@@ -70,11 +128,35 @@ const quizSchema = new mongoose.Schema({
     },
     completedAt: {
         type: Date
-    }
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Completed attempts, oldest first; the current attempt lives in the fields above
+    attempts: [{
+        userAnswers: [{
+            questionIndex: Number,
+            selectedAnswer: String,
+            selectedAnswers: {
+                type: [String],
+                default: undefined
+            },
+            isCorrect: Boolean,
+            credit: Number,
+            feedback: String
+        }],
+        score: Number,
+        correctCount: Number,
+        startedAt: Date,
+        completedAt: Date
+    }]
 }, {
     timestamps: true
 });
 
+quizSchema.index({ userId: 1, documentId: 1 });
+
 const Quiz = mongoose.model("Quiz", quizSchema);
 
 export default Quiz;
\ No newline at end of file
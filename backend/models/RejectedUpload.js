@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// Why an upload was rejected; also the error code returned to the client
+export const REJECTION_REASONS = [
+  "FILE_TYPE_MISMATCH",
+  "MALFORMED_DOCUMENT",
+  "ENCRYPTED_DOCUMENT",
+  "SUSPICIOUS_ARCHIVE",
+  "MACRO_CONTENT",
+  "MALWARE_DETECTED"
+];
+
+const rejectedUploadSchema = new mongoose.Schema(
+  {
+    // Null for uploads made while registering
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Upload field: document or profileImage
+    field: {
+      type: String,
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      required: true,
+    },
+    // What the content was detected as, e.g. "zip" or "pdf"
+    detectedKind: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: REJECTION_REASONS,
+      required: true,
+    },
+    message: {
+      type: String,
+    },
+    // Signature name reported by the malware scanner
+    threat: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+rejectedUploadSchema.index({ createdAt: -1 });
+
+export default mongoose.model("RejectedUpload", rejectedUploadSchema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        // SHA-256 of the current refresh token; the token itself is never stored
+        refreshTokenHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+
+        userAgent: {
+            type: String,
+            default: null,
+        },
+
+        ip: {
+            type: String,
+            default: null,
+        },
+
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// A resumable upload: chunks are stored as parts until the upload is completed
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    fileName: {
+      type: String,
+      required: true,
+    },
+
+    mimeType: {
+      type: String,
+      required: true,
+    },
+
+    title: {
+      type: String,
+      default: null,
+    },
+
+    // Total size announced when the upload was created
+    size: {
+      type: Number,
+      required: true,
+    },
+
+    // Bytes received so far; the next chunk must start here
+    offset: {
+      type: Number,
+      default: 0,
+    },
+
+    // Expected SHA-256 (hex) of the whole file, if given up front
+    checksum: {
+      type: String,
+      default: null,
+    },
+
+    // Stored chunks, in file order
+    parts: {
+      type: [
+        {
+          _id: false,
+          key: String,
+          offset: Number,
+          size: Number,
+        },
+      ],
+      default: [],
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "completing", "completed"],
+      default: "active",
+    },
+
+    // File the parts were joined into while completing; cleared once a document owns it
+    assembledKey: {
+      type: String,
+      default: null,
+    },
+
+    // Document created from the upload once completed
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      default: null,
+    },
+
+    // Pushed back on every chunk; expired uploads are deleted with their parts
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.index({ expiresAt: 1 });
+uploadSessionSchema.index({ userId: 1, status: 1 });
+
+export default mongoose.model("UploadSession", uploadSessionSchema);
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+
+export const ROLES = ["learner", "instructor", "admin"];
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -15,6 +18,73 @@ const userSchema = new mongoose.Schema(
     profileImage: {
       type: String,
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "learner",
+    },
+    isDisabled: {
+      type: Boolean,
+      default: false,
+    },
+    disabledAt: {
+      type: Date,
+    },
+    disabledReason: {
+      type: String,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+    },
+    // Encrypted TOTP secret, and the one being enrolled until it is confirmed
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be used twice
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Limits set for this user by an admin; null uses the default, 0 is unlimited
+    quota: {
+      storageBytes: {
+        type: Number,
+        default: null,
+      },
+      documents: {
+        type: Number,
+        default: null,
+      },
+      monthlyTokens: {
+        type: Number,
+        default: null,
+      },
+      monthlyRequests: {
+        type: Number,
+        default: null,
+      },
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,45 @@
+import express from "express";
+import {
+  listUsers,
+  getUser,
+  getUserDocuments,
+  updateUserRole,
+  updateUserStatus,
+  updateUserQuota,
+  listRejectedUploads,
+  deleteDocument,
+  deleteQuiz,
+  deleteFlashcardDeck,
+  deleteChat
+} from "../controllers/admin.controller.js";
+import authMiddleware from "../middlewares/auth.js";
+import requireRole from "../middlewares/requireRole.js";
+import {
+  userIdValidation,
+  contentIdValidation,
+  listUsersValidation,
+  updateRoleValidation,
+  updateStatusValidation,
+  updateQuotaValidation,
+  listRejectedUploadsValidation
+} from "../middlewares/admin.validation.js";
+const router = express.Router();
+
+//admin routes
+router.use(authMiddleware, requireRole("admin"));
+
+router.get("/users", listUsersValidation, listUsers)
+router.get("/users/:id", userIdValidation, getUser)
+router.get("/users/:id/documents", userIdValidation, getUserDocuments)
+router.patch("/users/:id/role", updateRoleValidation, updateUserRole)
+router.patch("/users/:id/status", updateStatusValidation, updateUserStatus)
+router.patch("/users/:id/quota", updateQuotaValidation, updateUserQuota)
+
+router.get("/rejected-uploads", listRejectedUploadsValidation, listRejectedUploads)
+
+router.delete("/documents/:id", contentIdValidation, deleteDocument)
+router.delete("/quizzes/:id", contentIdValidation, deleteQuiz)
+router.delete("/flashcards/:id", contentIdValidation, deleteFlashcardDeck)
+router.delete("/chats/:id", contentIdValidation, deleteChat)
+
+export default router;
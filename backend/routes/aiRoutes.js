@@ -0,0 +1,18 @@
+import express from "express";
+import { sendChatMessage, getChatHistory, clearChatHistory, getSummary, generateSummary } from "../controllers/ai.controller.js";
+import authMiddleware from "../middlewares/auth.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
+import requireAiQuota from "../middlewares/requireAiQuota.js";
+import { chatDocumentValidation, chatMessageValidation, summaryValidation, getSummaryValidation } from "../middlewares/ai.validation.js";
+const router = express.Router();
+
+//protected routes
+router.use(authMiddleware);
+
+router.post("/chat/:documentId", requireVerifiedEmail, requireAiQuota, chatMessageValidation, sendChatMessage)
+router.get("/chat/:documentId", chatDocumentValidation, getChatHistory)
+router.delete("/chat/:documentId", chatDocumentValidation, clearChatHistory)
+router.get("/summary/:documentId", getSummaryValidation, getSummary)
+router.post("/summary/:documentId", requireVerifiedEmail, summaryValidation, generateSummary)
+
+export default router;
@@ -1,18 +1,79 @@
 import express from "express";
-import { registerValidation } from "../middlewares/auth.validation.js";
-import { register, login, getProfile, updateProfile, changePassword, logout } from "../controllers/auth.controller.js";
+import rateLimit from "express-rate-limit";
+import {
+  registerValidation,
+  loginValidation,
+  updateProfileValidation,
+  changePasswordValidation,
+  verifyEmailValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  twoFactorLoginValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
+  sessionIdValidation
+} from "../middlewares/auth.validation.js";
+import {
+  register,
+  login,
+  getProfile,
+  getUsage,
+  updateProfile,
+  changePassword,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  confirmEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin
+} from "../controllers/auth.controller.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from "../controllers/twoFactor.controller.js";
 import authMiddleware from "../middlewares/auth.js";
+import scanUpload from "../middlewares/scanUpload.js";
+import { AppError } from "../utils/errors.js";
 import { uploadProfileImage } from "../config/multer.config.js";
 const router = express.Router();
 
+// Codes are short, so guessing them is limited per client
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  handler: (req, res, next) => next(new AppError("Too many verification attempts, please try again later", { statusCode: 429, code: "RATE_LIMITED" }))
+});
+
 //public routes
-router.post("/register", uploadProfileImage.single("profileImage"), registerValidation, register);
-router.post("/login", login);
+router.post("/register", uploadProfileImage.single("profileImage"), scanUpload, registerValidation, register);
+router.post("/login", loginValidation, login);
+router.post("/refresh", refresh);
 router.post("/logout", logout);
+router.post("/verify-email", verifyEmailValidation, confirmEmail);
+router.post("/forgot-password", forgotPasswordValidation, forgotPassword);
+router.post("/reset-password", resetPasswordValidation, resetPassword);
+router.post("/2fa/verify", twoFactorLimiter, twoFactorLoginValidation, verifyTwoFactorLogin);
 
 //protected routes
 router.get("/profile", authMiddleware, getProfile);
-router.put("/profile", authMiddleware, uploadProfileImage.single("profileImage"), updateProfile);
-router.post("/change-password", authMiddleware,changePassword)
+router.get("/usage", authMiddleware, getUsage);
+router.put("/profile", authMiddleware, uploadProfileImage.single("profileImage"), scanUpload, updateProfileValidation, updateProfile);
+router.post("/change-password", authMiddleware, changePasswordValidation, changePassword)
+router.post("/resend-verification", authMiddleware, resendVerification);
+router.get("/2fa", authMiddleware, getTwoFactorStatus);
+router.post("/2fa/setup", authMiddleware, setupTwoFactor);
+router.post("/2fa/enable", authMiddleware, twoFactorLimiter, twoFactorCodeValidation, enableTwoFactor);
+router.post("/2fa/disable", authMiddleware, twoFactorLimiter, disableTwoFactorValidation, disableTwoFactor);
+router.post("/2fa/recovery-codes", authMiddleware, twoFactorLimiter, twoFactorCodeValidation, regenerateRecoveryCodes);
+router.get("/sessions", authMiddleware, getSessions);
+router.delete("/sessions", authMiddleware, revokeOtherSessions);
+router.delete("/sessions/:id", authMiddleware, sessionIdValidation, revokeSession);
 
 export default router;
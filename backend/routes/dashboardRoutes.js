@@ -0,0 +1,12 @@
+import express from "express";
+import { getDashboardStats } from "../controllers/dashboard.controller.js";
+import authMiddleware from "../middlewares/auth.js";
+import { dashboardStatsValidation } from "../middlewares/dashboard.validation.js";
+const router = express.Router();
+
+//protected routes
+router.use(authMiddleware);
+
+router.get("/stats", dashboardStatsValidation, getDashboardStats)
+
+export default router;
@@ -1,13 +1,44 @@
 import express from "express";
-import { uploadDocument } from "../config/multer.config";
-import { getAllDocuments, getDocumentById, updateDocument } from "../controllers/documentsController";
+import { uploadDocument } from "../config/multer.config.js";
+import { createDocument, getAllDocuments, getDocumentById, searchDocument, updateDocument, deleteDocument, downloadDocument, getDocumentFileLink, createUpload, getUpload, uploadChunk, completeUpload, cancelUpload } from "../controllers/documents.controller.js";
+import { MAX_CHUNK_SIZE } from "../services/resumableUploads.js";
+import authMiddleware from "../middlewares/auth.js";
+import {
+  uploadDocumentValidation,
+  documentIdValidation,
+  searchDocumentValidation,
+  updateDocumentValidation,
+  downloadDocumentValidation,
+  documentFileLinkValidation,
+  createUploadValidation,
+  uploadIdValidation,
+  uploadChunkValidation,
+  completeUploadValidation
+} from "../middlewares/documents.validation.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
+import requireStorageQuota from "../middlewares/requireStorageQuota.js";
+import scanUpload from "../middlewares/scanUpload.js";
 const router = express.Router();
 
-router.post("/upload",uploadDocument.single("document"),uploadDocument)
-router.get("/",getAllDocuments)
-router.get("/:id",getDocumentById)
-router.delete("/:id",deleteDocument)
-router.put("/:id",updateDocument)
+//protected routes
+router.use(authMiddleware);
+
+router.post("/upload", requireVerifiedEmail, requireStorageQuota, uploadDocument.single("document"), scanUpload, uploadDocumentValidation, createDocument)
+router.get("/", getAllDocuments)
+
+// resumable uploads
+router.post("/uploads", requireVerifiedEmail, createUploadValidation, createUpload)
+router.get("/uploads/:uploadId", uploadIdValidation, getUpload)
+router.patch("/uploads/:uploadId", express.raw({ type: "application/offset+octet-stream", limit: MAX_CHUNK_SIZE }), uploadChunkValidation, uploadChunk)
+router.post("/uploads/:uploadId/complete", requireVerifiedEmail, completeUploadValidation, completeUpload)
+router.delete("/uploads/:uploadId", uploadIdValidation, cancelUpload)
+
+router.get("/:id", documentIdValidation, getDocumentById)
+router.get("/:id/search", searchDocumentValidation, searchDocument)
+router.get("/:id/file", downloadDocumentValidation, downloadDocument)
+router.get("/:id/file/link", documentFileLinkValidation, getDocumentFileLink)
+router.delete("/:id", documentIdValidation, deleteDocument)
+router.put("/:id", updateDocumentValidation, updateDocument)
 
 
 
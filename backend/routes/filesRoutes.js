@@ -0,0 +1,9 @@
+import express from "express";
+import { getProfileImage, getSignedFile } from "../controllers/files.controller.js";
+const router = express.Router();
+
+//public routes
+router.get("/profiles/:fileName", getProfileImage)
+router.get("/signed/*key", getSignedFile)
+
+export default router;
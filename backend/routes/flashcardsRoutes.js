@@ -0,0 +1,55 @@
+import express from "express";
+import {
+  generateDeck,
+  getDecks,
+  getDocumentDecks,
+  getDeckById,
+  updateDeck,
+  starDeck,
+  deleteDeck,
+  addCard,
+  updateCard,
+  starCard,
+  deleteCard,
+  reviewCard,
+  getDueCards
+} from "../controllers/flashcards.controller.js";
+import authMiddleware from "../middlewares/auth.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
+import requireAiQuota from "../middlewares/requireAiQuota.js";
+import {
+  generateDeckValidation,
+  listDecksValidation,
+  dueCardsValidation,
+  documentDecksValidation,
+  deckIdValidation,
+  updateDeckValidation,
+  starDeckValidation,
+  addCardValidation,
+  updateCardValidation,
+  cardIdValidation,
+  starCardValidation,
+  reviewCardValidation
+} from "../middlewares/flashcards.validation.js";
+const router = express.Router();
+
+//protected routes
+router.use(authMiddleware);
+
+router.post("/generate/:documentId", requireVerifiedEmail, requireAiQuota, generateDeckValidation, generateDeck)
+router.get("/", listDecksValidation, getDecks)
+router.get("/due", dueCardsValidation, getDueCards)
+router.get("/document/:documentId", documentDecksValidation, getDocumentDecks)
+router.get("/:id", deckIdValidation, getDeckById)
+router.put("/:id", updateDeckValidation, updateDeck)
+router.patch("/:id/star", starDeckValidation, starDeck)
+router.delete("/:id", deckIdValidation, deleteDeck)
+
+// cards
+router.post("/:id/cards", addCardValidation, addCard)
+router.put("/:id/cards/:cardId", updateCardValidation, updateCard)
+router.patch("/:id/cards/:cardId/star", starCardValidation, starCard)
+router.delete("/:id/cards/:cardId", cardIdValidation, deleteCard)
+router.post("/:id/cards/:cardId/review", reviewCardValidation, reviewCard)
+
+export default router;
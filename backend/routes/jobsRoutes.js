@@ -0,0 +1,13 @@
+import express from "express";
+import { getJob, getJobs } from "../controllers/jobs.controller.js";
+import authMiddleware from "../middlewares/auth.js";
+import { jobIdValidation, listJobsValidation } from "../middlewares/jobs.validation.js";
+const router = express.Router();
+
+//protected routes
+router.use(authMiddleware);
+
+router.get("/", listJobsValidation, getJobs)
+router.get("/:id", jobIdValidation, getJob)
+
+export default router;
@@ -0,0 +1,36 @@
+import express from "express";
+import {
+  generateQuiz,
+  getQuizzes,
+  getQuizById,
+  submitAnswer,
+  submitQuiz,
+  getQuizResults,
+  retakeQuiz,
+  deleteQuiz
+} from "../controllers/quiz.controller.js";
+import authMiddleware from "../middlewares/auth.js";
+import requireVerifiedEmail from "../middlewares/requireVerifiedEmail.js";
+import requireAiQuota from "../middlewares/requireAiQuota.js";
+import {
+  generateQuizValidation,
+  listQuizzesValidation,
+  quizIdValidation,
+  submitAnswerValidation,
+  submitQuizValidation
+} from "../middlewares/quiz.validation.js";
+const router = express.Router();
+
+//protected routes
+router.use(authMiddleware);
+
+router.post("/generate/:documentId", requireVerifiedEmail, requireAiQuota, generateQuizValidation, generateQuiz)
+router.get("/", listQuizzesValidation, getQuizzes)
+router.get("/:id", quizIdValidation, getQuizById)
+router.post("/:id/answer", submitAnswerValidation, submitAnswer)
+router.post("/:id/submit", submitQuizValidation, submitQuiz)
+router.get("/:id/results", quizIdValidation, getQuizResults)
+router.post("/:id/retake", quizIdValidation, retakeQuiz)
+router.delete("/:id", quizIdValidation, deleteQuiz)
+
+export default router;
@@ -0,0 +1,26 @@
+/**
+ * Set a user's role from the command line, e.g. to create the first admin:
+ *
+ *   npm run set-role -- admin@example.com admin
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import User, { ROLES } from "../models/User.js";
+
+dotenv.config();
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <email> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+await connectDB();
+
+const user = await User.findOneAndUpdate({ email }, { role }, { new: true });
+console.log(user ? `${user.email} is now ${user.role}` : `No user with email ${email}`);
+
+await mongoose.disconnect();
+process.exit(user ? 0 : 1);
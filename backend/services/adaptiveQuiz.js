@@ -0,0 +1,136 @@
+import Quiz from "../models/Quiz.js";
+import { getCompletedAttempts } from "./quizGrader.js";
+
+/**
+ * Adaptive quizzes: a learner's answers to earlier quizzes on a document
+ * decide which passages a new quiz focuses on, how hard it is, and which
+ * questions it leaves out.
+ */
+
+// Latest answers that must all be correct for a question to count as mastered
+const MASTERY_STREAK = 2;
+// Answers the difficulty is adapted to, most recent first
+const RECENT_ANSWER_COUNT = 30;
+// Fewer answers than this say too little to adapt the difficulty
+const MIN_RECENT_ANSWERS = 5;
+// Each older attempt weighs this much less when scoring weak passages
+const RECENCY_DECAY = 0.8;
+// A correct answer offsets part of a miss on the same passage
+const CORRECT_WEIGHT = 0.5;
+const MAX_FOCUS_CHUNKS = 8;
+const MAX_MISSED_QUESTIONS = 10;
+const MAX_MASTERED_QUESTIONS = 30;
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Key questions by their text, ignoring case and spacing
+ * @param {String} text - Question text
+ * @returns {String} Normalized text
+ */
+export const normalizeQuestionText = (text) => text.trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Difficulty mix for a recent accuracy: struggling learners get easier
+ * questions, learners who get almost everything right get harder ones
+ * @param {Number|null} accuracy - Share of recent answers that were correct (0-1), null when unknown
+ * @returns {String|Object} Difficulty for resolveDifficultyMix
+ */
+export const difficultyForAccuracy = (accuracy) => {
+  if (accuracy === null) return "mixed";
+  if (accuracy < 0.5) return { easy: 3, medium: 1 };
+  if (accuracy < 0.75) return { easy: 1, medium: 2, hard: 1 };
+  if (accuracy < 0.9) return { medium: 1, hard: 2 };
+  return "hard";
+};
+
+/**
+ * Every answered question of completed attempts, oldest first. Unanswered
+ * questions count as wrong, as in the score.
+ * @param {Array<Object>} quizzes - Quizzes (lean)
+ * @returns {Array<Object>} { question, isCorrect, completedAt, attempt } where attempt is 0 for the newest
+ */
+const getAnswerHistory = (quizzes) => {
+  const attempts = quizzes
+    .flatMap((quiz) => getCompletedAttempts(quiz).map((attempt) => ({ quiz, attempt })))
+    .sort((a, b) => new Date(a.attempt.completedAt) - new Date(b.attempt.completedAt));
+
+  return attempts.flatMap(({ quiz, attempt }, index) => {
+    const answers = new Map((attempt.userAnswers || []).map((answer) => [answer.questionIndex, answer]));
+
+    return quiz.questions.map((question, questionIndex) => ({
+      question,
+      isCorrect: Boolean(answers.get(questionIndex)?.isCorrect),
+      completedAt: attempt.completedAt,
+      attempt: attempts.length - 1 - index
+    }));
+  });
+};
+
+// ==================== ADAPTIVE PLAN ====================
+
+/**
+ * Work out how to tailor a new quiz on a document to the learner
+ * @param {String} userId - Learner
+ * @param {Object} document - Document the quiz is about
+ * @returns {Promise<Object>} {
+ *   difficulty, focusChunks (chunk indexes, weakest first),
+ *   missedQuestions ([{ question, correctAnswer }]), masteredQuestions ([text]),
+ *   recentAccuracy (0-100 or null), answersConsidered
+ * }
+ */
+export const buildAdaptivePlan = async (userId, document) => {
+  const quizzes = await Quiz.find({ userId, documentId: document._id })
+    .select("questions.question questions.correctAnswer questions.sourceChunks userAnswers score completedAt attempts")
+    .lean();
+  const history = getAnswerHistory(quizzes);
+
+  // Latest results per question, newest last
+  const byQuestion = new Map();
+  history.forEach((entry, index) => {
+    const key = normalizeQuestionText(entry.question.question);
+    const record = byQuestion.get(key) || { results: [] };
+    record.question = entry.question;
+    record.results.push(entry.isCorrect);
+    record.lastSeen = index;
+    byQuestion.set(key, record);
+  });
+
+  // Most recently asked first
+  const records = [...byQuestion.values()].sort((a, b) => b.lastSeen - a.lastSeen);
+  const mastered = records.filter(({ results }) =>
+    results.length >= MASTERY_STREAK && results.slice(-MASTERY_STREAK).every(Boolean)
+  );
+  const missed = records.filter(({ results }) => !results.at(-1));
+
+  // Passages behind recent misses score highest
+  const chunkScores = new Map();
+  for (const { question, isCorrect, attempt } of history) {
+    const weight = RECENCY_DECAY ** attempt * (isCorrect ? -CORRECT_WEIGHT : 1);
+    for (const chunkIndex of question.sourceChunks || []) {
+      chunkScores.set(chunkIndex, (chunkScores.get(chunkIndex) || 0) + weight);
+    }
+  }
+  const focusChunks = [...chunkScores.entries()]
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_FOCUS_CHUNKS)
+    .map(([chunkIndex]) => chunkIndex);
+
+  const recent = history.slice(-RECENT_ANSWER_COUNT);
+  const accuracy = recent.length >= MIN_RECENT_ANSWERS
+    ? recent.filter((entry) => entry.isCorrect).length / recent.length
+    : null;
+
+  return {
+    difficulty: difficultyForAccuracy(accuracy),
+    focusChunks,
+    missedQuestions: missed.slice(0, MAX_MISSED_QUESTIONS).map(({ question }) => ({
+      question: question.question,
+      correctAnswer: question.correctAnswer
+    })),
+    masteredQuestions: mastered.slice(0, MAX_MASTERED_QUESTIONS).map(({ question }) => question.question),
+    recentAccuracy: accuracy === null ? null : Math.round(accuracy * 100),
+    answersConsidered: recent.length
+  };
+};
@@ -0,0 +1,64 @@
+import { retrieveChunks } from "./retrieval/index.js";
+import { getProvider, getEmbedder } from "./llm/index.js";
+import { formatPassages } from "./studyContext.js";
+
+const CONTEXT_CHUNKS = 5;
+const HISTORY_MESSAGES = 10;
+const EXCERPT_LENGTH = 200;
+
+const SYSTEM_INSTRUCTION = `You are a study assistant helping a learner understand one of their documents.
+Answer using only the numbered passages provided with each question.
+Cite the passages you rely on with their number in square brackets, e.g. [1] or [2][3].
+If the passages do not contain the answer, say so plainly instead of guessing.`;
+
+/**
+ * Turn the [n] markers used in an answer into citations the client can highlight
+ * @param {String} answer - Model answer
+ * @param {Array<Object>} sources - Chunks the markers refer to
+ * @returns {Array<Object>} Citations in order of first use
+ */
+export const extractCitations = (answer, sources) => {
+  const markers = [...answer.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1]));
+
+  return [...new Set(markers)]
+    .filter((marker) => marker >= 1 && marker <= sources.length)
+    .map((marker) => {
+      const chunk = sources[marker - 1];
+      return {
+        marker,
+        chunkIndex: chunk.chunkIndex,
+        heading: chunk.heading,
+        pageNumber: chunk.pageNumber,
+        slideNumber: chunk.slideNumber,
+        excerpt: chunk.content.length > EXCERPT_LENGTH
+          ? `${chunk.content.slice(0, EXCERPT_LENGTH)}…`
+          : chunk.content
+      };
+    });
+};
+
+/**
+ * Answer a question about a document, grounded in its most relevant chunks
+ * @param {Object} params - { document (with chunks), history: [{role, content}], question }
+ * @returns {Promise<Object>} { answer, relevantChunks, citations }
+ */
+export const answerQuestion = async ({ document, history, question }) => {
+  const matches = await retrieveChunks(document, question, { topK: CONTEXT_CHUNKS, embedder: getEmbedder() });
+  const sources = matches.map(({ chunkIndex }) => document.chunks[chunkIndex]);
+
+  const prompt = sources.length
+    ? `Passages from "${document.title}":\n\n${formatPassages(sources)}\n\nQuestion: ${question}`
+    : `No passage of "${document.title}" matched this question.\n\nQuestion: ${question}`;
+
+  const { text: answer } = await getProvider().generateText({
+    system: SYSTEM_INSTRUCTION,
+    history: history.slice(-HISTORY_MESSAGES).map(({ role, content }) => ({ role, content })),
+    prompt
+  });
+
+  return {
+    answer,
+    relevantChunks: sources.map((chunk) => chunk.chunkIndex),
+    citations: extractCitations(answer, sources)
+  };
+};
@@ -0,0 +1,79 @@
+import Document from "../models/Documents.js";
+import logger from "../config/logger.js";
+import { extractDocument, ExtractionError } from "./extractors/index.js";
+import { embedChunks } from "./retrieval/index.js";
+import { getEmbedder } from "./llm/index.js";
+import { hashText } from "./summarizer.js";
+import { chunkBlocks } from "../utils/textChunker.js";
+import { readStoredFile, toStorageKey } from "./storage/index.js";
+
+// ==================== PIPELINE ====================
+
+/**
+ * Run the processing pipeline for an uploaded document:
+ * extract its text, split it into chunks and store the result.
+ * A file that cannot be extracted (ExtractionError) leaves the document
+ * "failed". Other errors, such as storage outages, are thrown so the caller
+ * can retry; the document goes back to "queued" unless this is the last try.
+ * @param {String} documentId - Document ID
+ * @param {Object} options - { onProgress: async (percent, message) => void, lastAttempt: Boolean }
+ * @returns {Promise<Object|null>} Updated document, or null if it no longer exists
+ */
+export const processDocument = async (documentId, { onProgress = async () => {}, lastAttempt = true } = {}) => {
+  const document = await Document.findById(documentId);
+  if (!document) return null;
+
+  document.status = "processing";
+  document.processingError = null;
+  document.processingErrorCode = null;
+  await document.save();
+
+  try {
+    await onProgress(10, "Extracting text");
+    const buffer = await readStoredFile(document.storageKey || toStorageKey(document.filePath));
+    const { text, pageCount, blocks, headings } = await extractDocument(buffer, document.mimeType);
+
+    await onProgress(40, "Splitting into chunks");
+    const chunks = chunkBlocks(blocks);
+    let embedder = getEmbedder();
+    if (embedder) {
+      await onProgress(60, "Indexing for search");
+      // Dense retrieval is optional: fall back to BM25 alone if embedding fails
+      try {
+        await embedChunks(chunks, embedder);
+      } catch (error) {
+        logger.warn(`Embedding document ${documentId} failed: ${error.message}`);
+        embedder = null;
+      }
+    }
+
+    document.extractedText = text;
+    document.textHash = hashText(text);
+    document.chunks = chunks;
+    document.embeddingModel = embedder?.name || null;
+    document.outline = headings;
+    document.pageCount = pageCount;
+    document.status = "ready";
+    document.processedAt = new Date();
+  } catch (error) {
+    logger.error(`Processing document ${documentId} failed: ${error.message}`);
+
+    if (!(error instanceof ExtractionError)) {
+      document.status = lastAttempt ? "failed" : "queued";
+      if (lastAttempt) {
+        document.processingError = "The document could not be processed, please try again later";
+        document.processingErrorCode = "PROCESSING_FAILED";
+      }
+      await document.save();
+      throw error;
+    }
+
+    document.status = "failed";
+    document.processingError = error.message;
+    document.processingErrorCode = error.code;
+  }
+
+  await onProgress(90, "Saving");
+  await document.save();
+  return document;
+};
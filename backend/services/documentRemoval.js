@@ -0,0 +1,35 @@
+import Document from "../models/Documents.js";
+import Quiz from "../models/Quiz.js";
+import Flashcard from "../models/FlashCards.js";
+import AIChat from "../models/AiChat.js";
+import Job from "../models/Job.js";
+import { getStorage, toStorageKey } from "./storage/index.js";
+import logger from "../config/logger.js";
+
+/**
+ * Delete a document, its file and the study material generated from it
+ * @param {Object} filter - Query matching the document
+ * @returns {Promise<Object|null>} Deleted document, or null if none matched
+ */
+export const removeDocument = async (filter) => {
+  const document = await Document.findOneAndDelete(filter);
+  if (!document) return null;
+
+  // The record is gone either way; a leftover file is only logged
+  const key = document.storageKey || toStorageKey(document.filePath);
+  try {
+    await getStorage().delete(key);
+  } catch (error) {
+    logger.warn(`Deleting stored file ${key} failed: ${error.message}`);
+  }
+
+  await Promise.all([
+    Quiz.deleteMany({ documentId: document._id }),
+    Flashcard.deleteMany({ documentId: document._id }),
+    AIChat.deleteMany({ documentId: document._id }),
+    // Running jobs find the document gone and fail on their own
+    Job.deleteMany({ documentId: document._id, status: "queued" })
+  ]);
+
+  return document;
+};
@@ -0,0 +1,61 @@
+import { loadPackage, collectRunText } from "./ooxml.js";
+import { buildResult, ExtractionError } from "./shared.js";
+
+// Word records where it last rendered page breaks; fall back to explicit breaks
+const RENDERED_PAGE_BREAK = /<w:lastRenderedPageBreak\s*\/>/g;
+const EXPLICIT_PAGE_BREAK = /<w:br\s[^>]*w:type="page"[^>]*\/>/g;
+
+/**
+ * Read the heading level of a Word paragraph from its style
+ * @param {String} properties - <w:pPr> XML of the paragraph
+ * @returns {Number|null} Heading level, or null for body text
+ */
+const getHeadingLevel = (properties) => {
+  const style = properties.match(/<w:pStyle\s+w:val="([^"]+)"/)?.[1];
+  if (style) {
+    if (/^title$/i.test(style)) return 1;
+    const heading = style.match(/^heading\s*(\d)$/i);
+    if (heading) return Number(heading[1]);
+  }
+
+  const outlineLevel = properties.match(/<w:outlineLvl\s+w:val="(\d)"/)?.[1];
+  return outlineLevel !== undefined ? Number(outlineLevel) + 1 : null;
+};
+
+/**
+ * Extract text from a Word document, keeping headings and approximate page numbers
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Extraction result
+ */
+export const extractDocx = async (buffer) => {
+  const zip = await loadPackage(buffer);
+  const documentXml = await zip?.file("word/document.xml")?.async("string");
+
+  if (!documentXml) {
+    throw new ExtractionError("This file is not a valid Word document", "MALFORMED_DOCUMENT");
+  }
+
+  const pageBreak = documentXml.includes("<w:lastRenderedPageBreak") ? RENDERED_PAGE_BREAK : EXPLICIT_PAGE_BREAK;
+  const blocks = [];
+  let pageNumber = 1;
+
+  for (const [paragraph] of documentXml.matchAll(/<w:p[\s>][\s\S]*?<\/w:p>/g)) {
+    const properties = paragraph.match(/<w:pPr>[\s\S]*?<\/w:pPr>/)?.[0] || "";
+    const content = paragraph.replace(properties, "");
+    const level = getHeadingLevel(properties);
+
+    blocks.push({
+      type: level ? "heading" : "text",
+      text: collectRunText(content, "w"),
+      level,
+      pageNumber
+    });
+
+    pageNumber += (content.match(pageBreak) || []).length;
+  }
+
+  const appXml = await zip.file("docProps/app.xml")?.async("string");
+  const declaredPages = Number(appXml?.match(/<Pages>(\d+)<\/Pages>/)?.[1]);
+
+  return buildResult(blocks, declaredPages || pageNumber);
+};
@@ -0,0 +1,63 @@
+import { extractPdf } from "./pdf.js";
+import { extractDocx } from "./docx.js";
+import { extractPptx } from "./pptx.js";
+import { extractText } from "./text.js";
+import { ExtractionError } from "./shared.js";
+
+export { ExtractionError };
+
+/**
+ * Extractors keyed by MIME type.
+ * Each extractor takes the file contents and resolves to
+ * { text, pageCount, blocks, headings } (see shared.js).
+ */
+const extractors = new Map();
+
+/**
+ * Register an extractor for one or more MIME types
+ * @param {String|Array<String>} mimeTypes - MIME type(s) handled
+ * @param {Function} extractor - async (buffer) => extraction result
+ */
+export const registerExtractor = (mimeTypes, extractor) => {
+  [].concat(mimeTypes).forEach((mimeType) => extractors.set(mimeType, extractor));
+};
+
+/**
+ * Build an extractor that rejects a legacy binary format with a clear message
+ * @param {String} format - Human readable format name
+ * @param {String} replacement - Extension to convert to
+ * @returns {Function} Extractor that always throws
+ */
+const unsupportedLegacyFormat = (format, replacement) => async () => {
+  throw new ExtractionError(
+    `${format} files are not supported. Please save the file as ${replacement} and upload it again.`,
+    "UNSUPPORTED_FORMAT"
+  );
+};
+
+registerExtractor("application/pdf", extractPdf);
+registerExtractor("application/vnd.openxmlformats-officedocument.wordprocessingml.document", extractDocx);
+registerExtractor("application/vnd.openxmlformats-officedocument.presentationml.presentation", extractPptx);
+registerExtractor("text/plain", extractText);
+registerExtractor("application/msword", unsupportedLegacyFormat("Legacy Word (.doc)", ".docx"));
+registerExtractor("application/vnd.ms-powerpoint", unsupportedLegacyFormat("Legacy PowerPoint (.ppt)", ".pptx"));
+
+/**
+ * Extract text and structure from a file
+ * @param {Buffer} buffer - File contents
+ * @param {String} mimeType - MIME type of the file
+ * @returns {Promise<Object>} { text, pageCount, blocks, headings }
+ */
+export const extractDocument = async (buffer, mimeType) => {
+  const extractor = extractors.get(mimeType);
+  if (!extractor) {
+    throw new ExtractionError(`No text extractor available for ${mimeType}`, "UNSUPPORTED_FORMAT");
+  }
+
+  const result = await extractor(buffer);
+  if (!result.text) {
+    throw new ExtractionError("No text could be extracted from this document", "EMPTY_DOCUMENT");
+  }
+
+  return result;
+};
@@ -0,0 +1,63 @@
+import JSZip from "jszip";
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'"
+};
+
+/**
+ * Decode the XML entities found in OOXML text runs
+ * @param {String} value - Raw XML text
+ * @returns {String} Decoded text
+ */
+export const decodeXmlEntities = (value) =>
+  value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+
+/**
+ * Collect the text of every run (<w:t> / <a:t>) inside an XML fragment
+ * @param {String} xml - XML fragment (a paragraph)
+ * @param {String} ns - Namespace prefix of the text runs ("w" or "a")
+ * @returns {String} Paragraph text
+ */
+export const collectRunText = (xml, ns) => {
+  const pattern = new RegExp(
+    `<${ns}:t(?:\\s[^>]*)?>([\\s\\S]*?)</${ns}:t>|<${ns}:tab(?:\\s[^>]*)?/>|<${ns}:br(?:\\s[^>]*)?/>`,
+    "g"
+  );
+  let text = "";
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    if (match[1] !== undefined) {
+      text += decodeXmlEntities(match[1]);
+    } else {
+      text += match[0].includes("tab") ? "\t" : "\n";
+    }
+  }
+
+  return text;
+};
+
+/**
+ * Open an OOXML package (docx, pptx)
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<JSZip>} Zip archive
+ */
+export const loadPackage = async (buffer) => {
+  try {
+    return await JSZip.loadAsync(buffer);
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,48 @@
+import { PDFParse } from "pdf-parse";
+import { buildResult, splitParagraphs, ExtractionError } from "./shared.js";
+
+/**
+ * Extract text from a PDF, one block per paragraph with its page number
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Extraction result
+ */
+export const extractPdf = async (buffer) => {
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+
+  try {
+    const result = await parser.getText();
+    const blocks = result.pages.flatMap((page) =>
+      splitParagraphs(page.text).map((text) => ({ text, pageNumber: page.num }))
+    );
+
+    return buildResult(blocks, result.total);
+  } catch (error) {
+    if (error.name === "PasswordException") {
+      throw new ExtractionError("This PDF is password protected", "ENCRYPTED_DOCUMENT");
+    }
+    throw new ExtractionError(`Could not read PDF: ${error.message}`);
+  } finally {
+    await parser.destroy();
+  }
+};
+
+/**
+ * Open a PDF without extracting it, to reject unreadable files early
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<void>}
+ * @throws {ExtractionError} ENCRYPTED_DOCUMENT or MALFORMED_DOCUMENT
+ */
+export const checkPdf = async (buffer) => {
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+
+  try {
+    await parser.getInfo();
+  } catch (error) {
+    if (error.name === "PasswordException") {
+      throw new ExtractionError("This PDF is password protected", "ENCRYPTED_DOCUMENT");
+    }
+    throw new ExtractionError(`This PDF is damaged or invalid: ${error.message}`, "MALFORMED_DOCUMENT");
+  } finally {
+    await parser.destroy();
+  }
+};
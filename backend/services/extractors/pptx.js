@@ -0,0 +1,43 @@
+import { loadPackage, collectRunText } from "./ooxml.js";
+import { buildResult, ExtractionError } from "./shared.js";
+
+const TITLE_PLACEHOLDER = /<p:ph\s[^>]*type="(?:title|ctrTitle)"/;
+
+/**
+ * Extract text from a PowerPoint presentation, one heading per slide title
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Extraction result
+ */
+export const extractPptx = async (buffer) => {
+  const zip = await loadPackage(buffer);
+  if (!zip?.file("ppt/presentation.xml")) {
+    throw new ExtractionError("This file is not a valid PowerPoint presentation", "MALFORMED_DOCUMENT");
+  }
+
+  const slideFiles = Object.keys(zip.files)
+    .map((name) => ({ name, number: Number(name.match(/^ppt\/slides\/slide(\d+)\.xml$/)?.[1]) }))
+    .filter((slide) => slide.number)
+    .sort((a, b) => a.number - b.number);
+
+  const blocks = [];
+
+  for (const [index, slide] of slideFiles.entries()) {
+    const xml = await zip.file(slide.name).async("string");
+    const slideNumber = index + 1;
+
+    for (const [shape] of xml.matchAll(/<p:sp>[\s\S]*?<\/p:sp>/g)) {
+      const isTitle = TITLE_PLACEHOLDER.test(shape);
+      const paragraphs = [...shape.matchAll(/<a:p>[\s\S]*?<\/a:p>/g)]
+        .map(([paragraph]) => collectRunText(paragraph, "a").trim())
+        .filter(Boolean);
+
+      if (isTitle) {
+        blocks.push({ type: "heading", text: paragraphs.join(" "), level: 1, slideNumber, pageNumber: slideNumber });
+      } else {
+        paragraphs.forEach((text) => blocks.push({ text, slideNumber, pageNumber: slideNumber }));
+      }
+    }
+  }
+
+  return buildResult(blocks, slideFiles.length);
+};
@@ -0,0 +1,49 @@
+/**
+ * Error raised when a document's text cannot be extracted.
+ * `code` is stored on the document so the client can tell failures apart.
+ */
+export class ExtractionError extends Error {
+  constructor(message, code = "EXTRACTION_FAILED") {
+    super(message);
+    this.name = "ExtractionError";
+    this.code = code;
+  }
+}
+
+/**
+ * Split raw text into trimmed, non-empty paragraphs
+ * @param {String} text - Raw text
+ * @returns {Array<String>} Paragraphs
+ */
+export const splitParagraphs = (text) =>
+  text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/[ \t]+/g, " ").trim())
+    .filter(Boolean);
+
+/**
+ * Build the common extractor result from a list of blocks
+ * @param {Array<Object>} blocks - { type: "heading"|"text", text, level, pageNumber, slideNumber }
+ * @param {Number} pageCount - Number of pages (or slides)
+ * @returns {Object} { text, pageCount, blocks, headings }
+ */
+export const buildResult = (blocks, pageCount) => {
+  const normalized = blocks
+    .map((block) => ({
+      type: block.type || "text",
+      text: block.text.trim(),
+      level: block.level ?? null,
+      pageNumber: block.pageNumber ?? null,
+      slideNumber: block.slideNumber ?? null
+    }))
+    .filter((block) => block.text);
+
+  return {
+    text: normalized.map((block) => block.text).join("\n\n"),
+    pageCount,
+    blocks: normalized,
+    headings: normalized
+      .filter((block) => block.type === "heading")
+      .map(({ text, level, pageNumber, slideNumber }) => ({ text, level, pageNumber, slideNumber }))
+  };
+};
@@ -0,0 +1,19 @@
+import { buildResult, splitParagraphs } from "./shared.js";
+
+/**
+ * Extract a plain text file, treating Markdown-style "#" lines as headings
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Extraction result
+ */
+export const extractText = async (buffer) => {
+  const content = buffer.toString("utf8").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+
+  const blocks = splitParagraphs(content.replace(/^(#{1,6}\s.*)$/gm, "\n$1\n")).map((paragraph) => {
+    const heading = paragraph.match(/^(#{1,6})\s+(.*)$/);
+    return heading
+      ? { type: "heading", text: heading[2], level: heading[1].length, pageNumber: 1 }
+      : { text: paragraph, pageNumber: 1 };
+  });
+
+  return buildResult(blocks, 1);
+};
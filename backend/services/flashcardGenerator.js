@@ -0,0 +1,92 @@
+import { getProvider, LLMOutputError } from "./llm/index.js";
+import { selectStudyChunks, formatPassages } from "./studyContext.js";
+import { DIFFICULTIES } from "./quizGenerator.js";
+import logger from "../config/logger.js";
+
+const MAX_ATTEMPTS = 2;
+
+const SYSTEM_INSTRUCTION = `You write study flashcards from a document.
+Only use facts stated in the numbered passages you are given.
+Each card asks one focused question and has a short, self-contained answer.`;
+
+/**
+ * Structured output schema for a batch of cards
+ * @param {Number} count - Number of cards requested
+ * @returns {Object} Schema
+ */
+const flashcardSchema = (count) => ({
+  type: "object",
+  required: ["cards"],
+  properties: {
+    cards: {
+      type: "array",
+      minItems: count,
+      maxItems: count,
+      items: {
+        type: "object",
+        required: ["question", "answer", "difficulty"],
+        properties: {
+          question: { type: "string" },
+          answer: { type: "string" },
+          difficulty: { type: "string", enum: DIFFICULTIES }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Generate flashcards from a document. Empty or duplicate cards are dropped
+ * and the model is asked again for the missing ones.
+ * @param {Object} document - Document with its chunks selected
+ * @param {Object} options - { count, topic }
+ * @returns {Promise<Array<Object>>} Cards in Flashcard schema format
+ */
+export const generateFlashcards = async (document, { count, topic }) => {
+  const passages = await selectStudyChunks(document, { topic });
+  const cards = [];
+  const seen = new Set();
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS && cards.length < count; attempt++) {
+    const remaining = count - cards.length;
+    const prompt = [
+      `Passages from "${document.title}":`,
+      formatPassages(passages),
+      `Write ${remaining} flashcard(s)${topic ? ` focused on: ${topic}` : ""}.`,
+      cards.length
+        ? `Do not repeat these questions:\n${cards.map((card) => `- ${card.question}`).join("\n")}`
+        : ""
+    ].filter(Boolean).join("\n\n");
+
+    try {
+      const { data } = await getProvider().generateJSON({
+        system: SYSTEM_INSTRUCTION,
+        prompt,
+        schema: flashcardSchema(remaining),
+        name: "flashcards"
+      });
+
+      data.cards.slice(0, remaining).forEach((card) => {
+        const question = card.question.trim();
+        const answer = card.answer.trim();
+        if (!question || !answer || seen.has(question.toLowerCase())) return;
+
+        seen.add(question.toLowerCase());
+        cards.push({
+          question,
+          answer,
+          difficulty: DIFFICULTIES.includes(card.difficulty) ? card.difficulty : "medium"
+        });
+      });
+    } catch (error) {
+      if (!(error instanceof LLMOutputError)) throw error;
+      logger.warn(`Flashcard generation attempt ${attempt} for document ${document._id}: ${error.message}`);
+    }
+  }
+
+  if (!cards.length) {
+    throw new LLMOutputError("The model did not return any usable flashcard");
+  }
+
+  return cards;
+};
@@ -0,0 +1,182 @@
+import Document from "../../models/Documents.js";
+import Quiz from "../../models/Quiz.js";
+import Flashcard from "../../models/FlashCards.js";
+import { processDocument } from "../documentProcessor.js";
+import { summarizeDocument, hashText } from "../summarizer.js";
+import { generateQuizQuestions } from "../quizGenerator.js";
+import { buildAdaptivePlan } from "../adaptiveQuiz.js";
+import { generateFlashcards } from "../flashcardGenerator.js";
+import { getProvider, LLMOutputError } from "../llm/index.js";
+import { AppError, NotFoundError, UpstreamAIError } from "../../utils/errors.js";
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Load the processed document a generation job works on, with its chunks
+ * @param {Object} job - Job
+ * @param {String} select - Extra fields to select
+ * @returns {Promise<Object>} Document
+ * @throws {NotFoundError} When it was deleted or is not processed
+ */
+const findReadyDocument = async (job, select = "") => {
+  const document = await Document.findOne({ _id: job.documentId, userId: job.userId, status: "ready" })
+    .select(`+chunks ${select}`.trim());
+
+  if (!document) {
+    throw new NotFoundError("Document not found or not processed yet");
+  }
+  return document;
+};
+
+/**
+ * Turn an unusable model answer into a retryable upstream error
+ * @param {String} message - Message for the user
+ * @returns {Function} Promise rejection handler
+ */
+const asUpstreamError = (message) => (error) => {
+  if (error instanceof LLMOutputError) {
+    throw new UpstreamAIError(message);
+  }
+  throw error;
+};
+
+// ==================== HANDLERS ====================
+
+/**
+ * Job handlers by type. Each one runs as
+ *   run(job, { setProgress: async (percent, message) => void }) -> result
+ * with AI usage attributed to `feature`. At most `concurrency` jobs of a
+ * type run at once per worker. An AppError with a 4xx status fails the job
+ * for good; anything else is retried with backoff.
+ */
+export const JOB_HANDLERS = {
+  "process-document": {
+    feature: "processing",
+    concurrency: 1,
+    run: async (job, { setProgress }) => {
+      const document = await processDocument(job.documentId, {
+        onProgress: setProgress,
+        lastAttempt: job.attempts >= job.maxAttempts
+      });
+
+      if (!document) {
+        throw new NotFoundError("Document not found");
+      }
+      if (document.status === "failed") {
+        throw new AppError(document.processingError, { statusCode: 422, code: document.processingErrorCode });
+      }
+
+      return { documentId: document._id, status: document.status, pageCount: document.pageCount };
+    }
+  },
+
+  "generate-summary": {
+    feature: "summary",
+    concurrency: 2,
+    run: async (job, { setProgress }) => {
+      const { style } = job.payload;
+      const document = await findReadyDocument(job, "+summaries");
+
+      // Documents processed before text hashing was added get their hash now
+      if (!document.textHash) {
+        const { extractedText } = await Document.findById(document._id).select("+extractedText");
+        document.textHash = hashText(extractedText);
+      }
+
+      await setProgress(10, "Summarizing");
+      const result = await summarizeDocument(document, style)
+        .catch(asUpstreamError("The AI model returned an invalid summary"));
+
+      await setProgress(90, "Saving");
+      // Replace any previous summary of this style (including stale ones)
+      document.summaries = document.summaries.filter((summary) => summary.style !== style);
+      document.summaries.push({
+        style,
+        textHash: document.textHash,
+        content: result.content ?? null,
+        terms: result.terms ?? [],
+        model: getProvider().model
+      });
+      await document.save();
+
+      return { documentId: document._id, style };
+    }
+  },
+
+  "generate-quiz": {
+    feature: "quiz",
+    concurrency: 2,
+    run: async (job, { setProgress }) => {
+      const { count, difficulty, topic, title, adaptive, types } = job.payload;
+      const document = await findReadyDocument(job);
+
+      // Adaptive quizzes follow the learner's latest answers, so they are planned when the job runs
+      let plan = null;
+      if (adaptive) {
+        await setProgress(5, "Reviewing your past answers");
+        plan = await buildAdaptivePlan(job.userId, document);
+      }
+
+      await setProgress(10, "Writing questions");
+      const questions = await generateQuizQuestions(document, {
+        count,
+        topic,
+        types,
+        difficulty: plan ? plan.difficulty : difficulty,
+        focusChunks: plan?.focusChunks,
+        missedQuestions: plan?.missedQuestions,
+        masteredQuestions: plan?.masteredQuestions
+      }).catch(asUpstreamError("The AI model returned an invalid quiz"));
+
+      await setProgress(90, "Saving");
+      const quiz = await Quiz.create({
+        userId: job.userId,
+        documentId: document._id,
+        title: title || `${document.title} ${adaptive ? "Review " : ""}Quiz`,
+        topic: topic || null,
+        mode: adaptive ? "adaptive" : "standard",
+        questions,
+        totalQuestions: questions.length
+      });
+
+      return {
+        quizId: quiz._id,
+        totalQuestions: questions.length,
+        requestedQuestions: count,
+        ...(plan && {
+          adaptive: {
+            difficulty: plan.difficulty,
+            recentAccuracy: plan.recentAccuracy,
+            answersConsidered: plan.answersConsidered,
+            focusChunks: plan.focusChunks,
+            masteredSkipped: plan.masteredQuestions.length
+          }
+        })
+      };
+    }
+  },
+
+  "generate-flashcards": {
+    feature: "flashcards",
+    concurrency: 2,
+    run: async (job, { setProgress }) => {
+      const { count, topic, title } = job.payload;
+      const document = await findReadyDocument(job);
+
+      await setProgress(10, "Writing flashcards");
+      const cards = await generateFlashcards(document, { count, topic })
+        .catch(asUpstreamError("The AI model returned invalid flashcards"));
+
+      await setProgress(90, "Saving");
+      const deck = await Flashcard.create({
+        userId: job.userId,
+        documentId: document._id,
+        title: title || `${document.title} Flashcards`,
+        topic: topic || null,
+        cards
+      });
+
+      return { deckId: deck._id, cardCount: cards.length };
+    }
+  }
+};
@@ -0,0 +1,3 @@
+export { enqueueJob, formatJob } from "./queue.js";
+export { startWorker } from "./worker.js";
+export { JOB_HANDLERS } from "./handlers.js";
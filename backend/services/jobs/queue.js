@@ -0,0 +1,225 @@
+import Job from "../../models/Job.js";
+import Document from "../../models/Documents.js";
+import logger from "../../config/logger.js";
+import { AppError } from "../../utils/errors.js";
+
+// How long a claimed job stays locked without a heartbeat
+export const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// Retry delay: BACKOFF_BASE_MS * 2^(attempt - 1), at most BACKOFF_MAX_MS
+const BACKOFF_BASE_MS = 5 * 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+/**
+ * Delay before retrying after a failed attempt, with up to 20% jitter so
+ * jobs that failed together do not retry together
+ * @param {Number} attempt - Attempt that failed (1-based)
+ * @returns {Number} Delay in milliseconds
+ */
+export const backoffDelay = (attempt) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+/**
+ * Queue a job
+ * @param {String} type - One of JOB_TYPES
+ * @param {Object} options - { userId, documentId, payload, maxAttempts }
+ * @returns {Promise<Object>} Created job
+ */
+export const enqueueJob = (type, { userId, documentId = null, payload = {}, maxAttempts } = {}) =>
+  Job.create({ type, userId, documentId, payload, maxAttempts });
+
+/**
+ * Claim the next job that is due, or whose worker stopped holding its lock
+ * @param {String} workerId - Claiming worker
+ * @param {Array<String>} types - Job types the worker has room for
+ * @returns {Promise<Object|null>} Claimed job
+ */
+export const claimNextJob = (workerId, types) => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now }, $expr: { $lt: ["$attempts", "$maxAttempts"] } }
+      ]
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + LOCK_TIMEOUT_MS),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Fail jobs whose worker died during their last attempt. A document whose
+ * processing job was given up is failed too, as after a last failed attempt,
+ * so it does not stay "processing" for good.
+ * @returns {Promise<Number>} Number of jobs failed
+ */
+export const failAbandonedJobs = async () => {
+  const abandoned = { status: "running", lockedUntil: { $lt: new Date() }, $expr: { $gte: ["$attempts", "$maxAttempts"] } };
+  const jobs = await Job.find(abandoned).select("type documentId").lean();
+  if (!jobs.length) return 0;
+
+  const { modifiedCount } = await Job.updateMany(
+    { ...abandoned, _id: { $in: jobs.map((job) => job._id) } },
+    {
+      $set: {
+        status: "failed",
+        "error.code": "JOB_ABANDONED",
+        "error.message": "The job stopped responding and was given up",
+        lockedBy: null,
+        lockedUntil: null,
+        finishedAt: new Date()
+      }
+    }
+  );
+
+  const documentIds = jobs.filter((job) => job.type === "process-document" && job.documentId).map((job) => job.documentId);
+  if (documentIds.length) {
+    await Document.updateMany(
+      { _id: { $in: documentIds }, status: { $in: ["queued", "processing"] } },
+      {
+        $set: {
+          status: "failed",
+          processingError: "The document could not be processed, please try again later",
+          processingErrorCode: "PROCESSING_FAILED"
+        }
+      }
+    );
+  }
+
+  return modifiedCount;
+};
+
+/**
+ * Record progress of a running job and extend its lock
+ * @param {Object} job - Job held by this worker
+ * @param {Number} percent - 0-100
+ * @param {String} message - What the job is doing
+ * @returns {Promise<void>}
+ */
+export const updateJobProgress = async (job, percent, message = null) => {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        "progress.percent": Math.max(0, Math.min(100, Math.round(percent))),
+        "progress.message": message,
+        lockedUntil: new Date(Date.now() + LOCK_TIMEOUT_MS)
+      }
+    }
+  );
+};
+
+/**
+ * Extend the lock of a running job
+ * @param {Object} job - Job held by this worker
+ * @returns {Promise<void>}
+ */
+export const extendJobLock = async (job) => {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    { $set: { lockedUntil: new Date(Date.now() + LOCK_TIMEOUT_MS) } }
+  );
+};
+
+/**
+ * Mark a job as completed
+ * @param {Object} job - Job held by this worker
+ * @param {*} result - Handler output
+ * @returns {Promise<void>}
+ */
+export const completeJob = async (job, result) => {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: "completed",
+        result: result ?? null,
+        "progress.percent": 100,
+        "error.code": null,
+        "error.message": null,
+        lockedBy: null,
+        lockedUntil: null,
+        finishedAt: new Date()
+      }
+    }
+  );
+};
+
+/**
+ * Record a failed attempt: the job is queued again after a backoff delay,
+ * or fails for good when it is out of attempts or the error is not worth
+ * retrying (a client error such as a missing document).
+ * @param {Object} job - Job held by this worker
+ * @param {Error} error - Error thrown by the handler
+ * @returns {Promise<Boolean>} Whether the job will be retried
+ */
+export const failJob = async (job, error) => {
+  const isAppError = error instanceof AppError;
+  const retry = job.attempts < job.maxAttempts && (!isAppError || error.statusCode >= 500);
+  const jobError = {
+    "error.code": isAppError ? error.code : "JOB_FAILED",
+    // Unexpected errors may carry internals; their details only go to the log
+    "error.message": isAppError ? error.message : "The job failed unexpectedly"
+  };
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: retry
+        ? {
+          status: "queued",
+          runAt: new Date(Date.now() + backoffDelay(job.attempts)),
+          ...jobError,
+          lockedBy: null,
+          lockedUntil: null
+        }
+        : {
+          status: "failed",
+          ...jobError,
+          lockedBy: null,
+          lockedUntil: null,
+          finishedAt: new Date()
+        }
+    }
+  );
+
+  logger.warn(`Job ${job._id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed: ${error.message}${retry ? ", will retry" : ""}`);
+  return retry;
+};
+
+/**
+ * Format a job for its owner
+ * @param {Object} job - Job
+ * @returns {Object} Job status
+ */
+export const formatJob = (job) => ({
+  _id: job._id,
+  type: job.type,
+  status: job.status,
+  documentId: job.documentId,
+  progress: {
+    percent: job.progress?.percent ?? 0,
+    message: job.progress?.message ?? null
+  },
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  // When a queued job is retried after a failed attempt
+  nextAttemptAt: job.status === "queued" && job.attempts ? job.runAt : null,
+  result: job.result,
+  error: job.error?.code ? { code: job.error.code, message: job.error.message } : null,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
@@ -0,0 +1,108 @@
+import crypto from "crypto";
+import os from "os";
+import logger from "../../config/logger.js";
+import { withUsageContext } from "../llm/index.js";
+import { JOB_HANDLERS } from "./handlers.js";
+import { expireUploadSessions } from "../resumableUploads.js";
+import {
+  LOCK_TIMEOUT_MS,
+  claimNextJob,
+  failAbandonedJobs,
+  updateJobProgress,
+  extendJobLock,
+  completeJob,
+  failJob
+} from "./queue.js";
+
+// How often jobs abandoned by a dead worker and expired uploads are looked for
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Start polling the queue and running jobs.
+ * @param {Object} options - { handlers, concurrency (JOB_CONCURRENCY, default 2), pollInterval (JOB_POLL_INTERVAL_MS, default 1000) }
+ * @returns {Object} { workerId, stop } - stop() waits for running jobs to finish
+ */
+export const startWorker = ({
+  handlers = JOB_HANDLERS,
+  concurrency = Number(process.env.JOB_CONCURRENCY) || 2,
+  pollInterval = Number(process.env.JOB_POLL_INTERVAL_MS) || 1000
+} = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+  // jobId -> { type, promise }
+  const running = new Map();
+  let stopped = false;
+  let polling = false;
+  let lastSweep = 0;
+
+  const runningOfType = (type) => [...running.values()].filter((entry) => entry.type === type).length;
+
+  // Types with room left under their own concurrency limit
+  const availableTypes = () =>
+    Object.entries(handlers)
+      .filter(([type, handler]) => runningOfType(type) < (handler.concurrency || concurrency))
+      .map(([type]) => type);
+
+  const run = (job) => {
+    const handler = handlers[job.type];
+    // Keep the lock while a long step runs without reporting progress
+    const heartbeat = setInterval(() => {
+      extendJobLock(job).catch((error) => logger.warn(`Extending lock of job ${job._id} failed: ${error.message}`));
+    }, LOCK_TIMEOUT_MS / 3);
+
+    const promise = withUsageContext(
+      { userId: job.userId, feature: handler.feature, documentId: job.documentId },
+      () => handler.run(job, { setProgress: (percent, message) => updateJobProgress(job, percent, message) })
+    )
+      .then((result) => completeJob(job, result), (error) => failJob(job, error))
+      .catch((error) => logger.error(`Recording the outcome of job ${job._id} failed: ${error.message}`))
+      .finally(() => {
+        clearInterval(heartbeat);
+        running.delete(String(job._id));
+        poll();
+      });
+
+    running.set(String(job._id), { type: job.type, promise });
+  };
+
+  const poll = async () => {
+    if (polling || stopped) return;
+    polling = true;
+
+    try {
+      if (Date.now() - lastSweep > SWEEP_INTERVAL_MS) {
+        lastSweep = Date.now();
+        await failAbandonedJobs();
+        await expireUploadSessions();
+      }
+
+      while (!stopped && running.size < concurrency) {
+        const types = availableTypes();
+        if (!types.length) break;
+
+        const job = await claimNextJob(workerId, types);
+        if (!job) break;
+
+        logger.info(`Job ${job._id} (${job.type}) started, attempt ${job.attempts}/${job.maxAttempts}`);
+        run(job);
+      }
+    } catch (error) {
+      logger.error(`Polling the job queue failed: ${error.message}`);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollInterval);
+  poll();
+  logger.info(`Job worker ${workerId} started (concurrency ${concurrency})`);
+
+  return {
+    workerId,
+    stop: async () => {
+      stopped = true;
+      clearInterval(timer);
+      await Promise.allSettled([...running.values()].map((entry) => entry.promise));
+      logger.info(`Job worker ${workerId} stopped`);
+    }
+  };
+};
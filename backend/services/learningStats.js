@@ -0,0 +1,336 @@
+import mongoose from "mongoose";
+import Document from "../models/Documents.js";
+import Quiz from "../models/Quiz.js";
+import Flashcard from "../models/FlashCards.js";
+import AIChat from "../models/AiChat.js";
+import { DIFFICULTIES } from "./quizGenerator.js";
+import { getCompletedAttempts } from "./quizGrader.js";
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Learning analytics for the dashboard, computed from quizzes, flashcard
+ * decks and chats. Days are calendar days in the learner's time zone.
+ *
+ * Cards only keep the time of their last review, so card activity counts
+ * each card once, on the day it was last reviewed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEAK_TOPIC_LIMIT = 5;
+// Topics with fewer answers say little about what the learner knows
+const WEAK_TOPIC_MIN_ANSWERS = 2;
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Check that a time zone name is known (e.g. "Europe/Berlin")
+ * @param {String} timeZone - IANA time zone
+ * @returns {Boolean} Whether it can be used
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-CA", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Build a function that turns a date into its calendar day
+ * @param {String} timeZone - IANA time zone
+ * @returns {Function} (date) => "YYYY-MM-DD"
+ */
+export const dayKeyIn = (timeZone) => {
+  const format = new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" });
+  return (date) => format.format(date);
+};
+
+/**
+ * Move a calendar day by a number of days
+ * @param {String} day - "YYYY-MM-DD"
+ * @param {Number} amount - Days to add (negative to go back)
+ * @returns {String} "YYYY-MM-DD"
+ */
+const addDays = (day, amount) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + amount * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Percentage, rounded to a whole number
+ * @param {Number} part - Part
+ * @param {Number} total - Total
+ * @returns {Number|null} 0-100, or null when there is nothing to divide
+ */
+const percent = (part, total) => (total ? Math.round((part / total) * 100) : null);
+
+/**
+ * Current and longest run of consecutive active days. The current streak
+ * still counts when today has no activity yet but yesterday had.
+ * @param {Set<String>} activeDays - Days with activity ("YYYY-MM-DD")
+ * @param {String} today - Today ("YYYY-MM-DD")
+ * @returns {Object} { current, longest, lastActiveDay }
+ */
+export const computeStreaks = (activeDays, today) => {
+  const days = [...activeDays].sort();
+  let longest = 0;
+  let run = 0;
+
+  days.forEach((day, index) => {
+    run = index > 0 && addDays(days[index - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  let current = 0;
+  let day = activeDays.has(today) ? today : addDays(today, -1);
+  while (activeDays.has(day)) {
+    current += 1;
+    day = addDays(day, -1);
+  }
+
+  return { current, longest, lastActiveDay: days.at(-1) || null };
+};
+
+/**
+ * Headings of the chunks of documents, to name the topic of a question
+ * @param {Array<String>} documentIds - Documents
+ * @returns {Promise<Map<String, Object>>} documentId -> { title, headings: Map<chunkIndex, heading> }
+ */
+const getDocumentHeadings = async (documentIds) => {
+  const documents = await Document.aggregate([
+    { $match: { _id: { $in: documentIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } },
+    {
+      $project: {
+        title: 1,
+        chunks: {
+          $map: { input: "$chunks", as: "chunk", in: { chunkIndex: "$$chunk.chunkIndex", heading: "$$chunk.heading" } }
+        }
+      }
+    }
+  ]);
+
+  return new Map(documents.map((document) => [
+    String(document._id),
+    {
+      title: document.title,
+      headings: new Map((document.chunks || []).filter((chunk) => chunk.heading).map((chunk) => [chunk.chunkIndex, chunk.heading]))
+    }
+  ]));
+};
+
+// ==================== STATS ====================
+
+/**
+ * Quiz statistics: score trend, accuracy per difficulty and weakest topics.
+ * A question's topic is the heading of the passage it was written from,
+ * else the quiz topic, else the document title.
+ * @param {Array<Object>} quizzes - Quizzes (lean)
+ * @param {Object} options - { dayKey, since }
+ * @returns {Promise<Object>} { summary, scoreTrend, accuracy, weakTopics, activeDays, documentIds }
+ */
+const getQuizStats = async (quizzes, { dayKey, since }) => {
+  const byDay = new Map();
+  const byDifficulty = new Map(DIFFICULTIES.map((difficulty) => [difficulty, { answered: 0, correct: 0 }]));
+  const byTopic = new Map();
+  const activeDays = new Set();
+  const documentIds = new Set();
+  let attemptCount = 0;
+  let scoreSum = 0;
+
+  const documents = await getDocumentHeadings([...new Set(quizzes.map((quiz) => String(quiz.documentId)))]);
+
+  for (const quiz of quizzes) {
+    const attempts = getCompletedAttempts(quiz);
+    const document = documents.get(String(quiz.documentId));
+    if (attempts.length) documentIds.add(String(quiz.documentId));
+
+    for (const attempt of attempts) {
+      const day = dayKey(attempt.completedAt);
+      activeDays.add(day);
+      attemptCount += 1;
+      scoreSum += attempt.score || 0;
+
+      if (attempt.completedAt >= since) {
+        const entry = byDay.get(day) || { attempts: 0, scoreSum: 0 };
+        entry.attempts += 1;
+        entry.scoreSum += attempt.score || 0;
+        byDay.set(day, entry);
+      }
+
+      const answers = new Map((attempt.userAnswers || []).map((answer) => [answer.questionIndex, answer]));
+
+      quiz.questions.forEach((question, index) => {
+        // Unanswered questions count as wrong, as in the score
+        const isCorrect = Boolean(answers.get(index)?.isCorrect);
+
+        const difficulty = byDifficulty.get(question.difficulty);
+        if (difficulty) {
+          difficulty.answered += 1;
+          if (isCorrect) difficulty.correct += 1;
+        }
+
+        const heading = (question.sourceChunks || []).map((chunkIndex) => document?.headings.get(chunkIndex)).find(Boolean);
+        const topic = heading || quiz.topic || document?.title || quiz.title;
+        const key = `${quiz.documentId}:${topic.toLowerCase()}`;
+        const entry = byTopic.get(key) || {
+          topic,
+          documentId: quiz.documentId,
+          documentTitle: document?.title || null,
+          answered: 0,
+          missed: 0
+        };
+        entry.answered += 1;
+        if (!isCorrect) entry.missed += 1;
+        byTopic.set(key, entry);
+      });
+    }
+  }
+
+  const weakTopics = [...byTopic.values()]
+    .filter((entry) => entry.missed && entry.answered >= WEAK_TOPIC_MIN_ANSWERS)
+    .map((entry) => ({ ...entry, accuracy: percent(entry.answered - entry.missed, entry.answered) }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.missed - a.missed)
+    .slice(0, WEAK_TOPIC_LIMIT);
+
+  return {
+    summary: {
+      total: quizzes.length,
+      completed: quizzes.filter((quiz) => getCompletedAttempts(quiz).length).length,
+      attempts: attemptCount,
+      averageScore: attemptCount ? Math.round(scoreSum / attemptCount) : null
+    },
+    scoreTrend: [...byDay.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, entry]) => ({ date, attempts: entry.attempts, averageScore: Math.round(entry.scoreSum / entry.attempts) })),
+    accuracy: [...byDifficulty.entries()].map(([difficulty, entry]) => ({
+      difficulty,
+      ...entry,
+      accuracy: percent(entry.correct, entry.answered)
+    })),
+    weakTopics,
+    activeDays,
+    documentIds
+  };
+};
+
+/**
+ * Flashcard statistics: cards due today and review activity. "Today" ends
+ * at midnight in the time zone `dayKey` uses, like every other per-day stat.
+ * @param {Array<Object>} decks - Decks (lean)
+ * @param {Object} options - { dayKey, since, today }
+ * @returns {Object} { summary, reviewsByDay, activeDays, documentIds }
+ */
+const getFlashcardStats = (decks, { dayKey, since, today }) => {
+  const reviewsByDay = new Map();
+  const activeDays = new Set();
+  const documentIds = new Set();
+  const summary = { decks: decks.length, totalCards: 0, newCards: 0, dueToday: 0, reviewedToday: 0, totalReviews: 0 };
+
+  for (const deck of decks) {
+    for (const card of deck.cards) {
+      summary.totalCards += 1;
+      summary.totalReviews += card.reviewCount || 0;
+
+      if (!card.dueDate) summary.newCards += 1;
+      else if (dayKey(card.dueDate) <= today) summary.dueToday += 1;
+
+      if (!card.lastReviewed) continue;
+
+      const day = dayKey(card.lastReviewed);
+      activeDays.add(day);
+      documentIds.add(String(deck.documentId));
+      if (day === today) summary.reviewedToday += 1;
+      if (card.lastReviewed >= since) reviewsByDay.set(day, (reviewsByDay.get(day) || 0) + 1);
+    }
+  }
+
+  return {
+    summary,
+    reviewsByDay,
+    activeDays,
+    documentIds
+  };
+};
+
+/**
+ * Chat activity: days a question was asked and the documents asked about
+ * @param {String} userId - User ID
+ * @param {String} timeZone - IANA time zone
+ * @returns {Promise<Object>} { activeDays, documentIds }
+ */
+const getChatActivity = async (userId, timeZone) => {
+  const [activity] = await AIChat.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $unwind: "$messages" },
+    { $match: { "messages.role": "user" } },
+    {
+      $group: {
+        _id: null,
+        days: { $addToSet: { $dateToString: { format: "%Y-%m-%d", date: "$messages.timestamp", timezone: timeZone } } },
+        documentIds: { $addToSet: "$documentId" }
+      }
+    }
+  ]);
+
+  return {
+    activeDays: new Set(activity?.days || []),
+    documentIds: new Set((activity?.documentIds || []).map(String))
+  };
+};
+
+/**
+ * Everything the learner dashboard shows
+ * @param {String} userId - User ID
+ * @param {Object} options - { days (length of the trend window), timeZone }
+ * @returns {Promise<Object>} Dashboard stats
+ */
+export const getLearningStats = async (userId, { days = 30, timeZone = "UTC" } = {}) => {
+  if (!Number.isInteger(days) || days < 1) {
+    throw new ValidationError("days must be a positive whole number");
+  }
+
+  const dayKey = dayKeyIn(timeZone);
+  const today = dayKey(new Date());
+  // Covers the whole first day of the window in any time zone; entries are then picked by day
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const [quizzes, decks, chats, documentCount] = await Promise.all([
+    Quiz.find({ userId }).select("documentId title topic questions.difficulty questions.sourceChunks userAnswers score completedAt attempts").lean(),
+    Flashcard.find({ userId }).select("documentId cards.dueDate cards.lastReviewed cards.reviewCount").lean(),
+    getChatActivity(userId, timeZone),
+    Document.countDocuments({ userId })
+  ]);
+
+  const quizStats = await getQuizStats(quizzes, { dayKey, since });
+  const cardStats = getFlashcardStats(decks, { dayKey, since, today });
+
+  const activeDays = new Set([...quizStats.activeDays, ...cardStats.activeDays, ...chats.activeDays]);
+  const studied = new Set([...quizStats.documentIds, ...cardStats.documentIds, ...chats.documentIds]);
+  const firstDay = addDays(today, -(days - 1));
+
+  return {
+    range: { days, from: firstDay, to: today, timeZone },
+    documents: { total: documentCount, studied: studied.size },
+    quizzes: quizStats.summary,
+    scoreTrend: quizStats.scoreTrend.filter((entry) => entry.date >= firstDay),
+    accuracyByDifficulty: quizStats.accuracy,
+    flashcards: {
+      ...cardStats.summary,
+      reviewedInRange: [...cardStats.reviewsByDay.entries()]
+        .filter(([date]) => date >= firstDay)
+        .reduce((sum, [, count]) => sum + count, 0)
+    },
+    // One entry per day of the window, for activity charts
+    activity: Array.from({ length: days }, (_, index) => {
+      const date = addDays(firstDay, index);
+      const quizDay = quizStats.scoreTrend.find((entry) => entry.date === date);
+      return {
+        date,
+        active: activeDays.has(date),
+        quizAttempts: quizDay?.attempts || 0,
+        cardsReviewed: cardStats.reviewsByDay.get(date) || 0
+      };
+    }),
+    streak: computeStreaks(activeDays, today),
+    weakTopics: quizStats.weakTopics
+  };
+};
@@ -0,0 +1,17 @@
+/**
+ * Error raised when a provider cannot answer a request at all. Network
+ * failures, timeouts, rate limits and upstream 5xx responses are
+ * `retryable`; other rejections (bad API key, invalid request, blocked
+ * response) are not. `status` is the upstream HTTP status, when there is one;
+ * `usage` is set when the model responded (e.g. a blocked response) and the
+ * call used tokens.
+ */
+export class LLMProviderError extends Error {
+  constructor(message, { status = null, retryable = false, usage = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "LLMProviderError";
+    this.status = status;
+    this.retryable = retryable;
+    this.usage = usage;
+  }
+}
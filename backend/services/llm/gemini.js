@@ -0,0 +1,168 @@
+import {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIError,
+  GoogleGenerativeAIFetchError,
+  GoogleGenerativeAIRequestInputError,
+  GoogleGenerativeAIResponseError
+} from "@google/generative-ai";
+import { parseStructuredOutput } from "./schema.js";
+import { LLMProviderError } from "./errors.js";
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-004";
+// batchEmbedContents accepts at most 100 requests per call
+const EMBED_BATCH_SIZE = 100;
+
+/**
+ * Convert a provider-neutral schema to Gemini's response schema format
+ * @param {Object} schema - Schema (see schema.js)
+ * @returns {Object} Gemini response schema
+ */
+const toGeminiSchema = (schema) => {
+  const converted = { type: schema.type };
+
+  if (schema.description) converted.description = schema.description;
+  if (schema.nullable) converted.nullable = true;
+  if (schema.enum) Object.assign(converted, { format: "enum", enum: schema.enum });
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.minItems !== undefined) converted.minItems = schema.minItems;
+  if (schema.maxItems !== undefined) converted.maxItems = schema.maxItems;
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, property]) => [key, toGeminiSchema(property)])
+    );
+    converted.required = schema.required || [];
+  }
+
+  return converted;
+};
+
+/**
+ * Run a Gemini SDK call, turning its failures into LLMProviderError.
+ * Rate limits, upstream 5xx responses, timeouts and network failures are
+ * retryable; rejected requests and blocked responses are not.
+ * @param {String} operation - What is being done, for the error message
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of `fn`
+ */
+const callGemini = async (operation, fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (!(error instanceof GoogleGenerativeAIError)) throw error;
+
+    const status = error instanceof GoogleGenerativeAIFetchError ? error.status ?? null : null;
+    const rejected = error instanceof GoogleGenerativeAIRequestInputError ||
+      error instanceof GoogleGenerativeAIResponseError ||
+      (status !== null && status !== 429 && status < 500);
+
+    throw new LLMProviderError(`Gemini ${operation} failed: ${error.message}`, {
+      status,
+      retryable: !rejected,
+      cause: error
+    });
+  }
+};
+
+/**
+ * Generate content and read its text, parsed against `schema` when given.
+ * A response that came back but cannot be used (blocked, or not matching
+ * the schema) was still paid for: the error thrown carries its `usage`.
+ * @param {Object} generativeModel - Gemini model
+ * @param {Object|String} request - Content request
+ * @param {Object} options - { operation, schema }
+ * @returns {Promise<Object>} { text, data, usage: { totalTokens } }
+ */
+const generate = async (generativeModel, request, { operation, schema }) => {
+  const { response } = await callGemini(operation, () => generativeModel.generateContent(request));
+  const usage = { totalTokens: response.usageMetadata?.totalTokenCount || 0 };
+
+  try {
+    const text = await callGemini(operation, async () => response.text());
+    return { text, data: schema && parseStructuredOutput(text, schema), usage };
+  } catch (error) {
+    error.usage = usage;
+    throw error;
+  }
+};
+
+/**
+ * Map chat history to Gemini contents
+ * @param {Array<Object>} history - [{ role: "user"|"assistant", content }]
+ * @returns {Array<Object>} Gemini contents
+ */
+const toContents = (history) =>
+  history.map(({ role, content }) => ({
+    role: role === "assistant" ? "model" : "user",
+    parts: [{ text: content }]
+  }));
+
+/**
+ * Create the Google Gemini provider
+ * @param {Object} options - { apiKey, model, embeddingModel }
+ * @returns {Object} LLM provider
+ */
+export const createGeminiProvider = ({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.GEMINI_MODEL || DEFAULT_MODEL,
+  embeddingModel = process.env.GEMINI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL
+} = {}) => {
+  if (!apiKey) {
+    throw new Error("GEMINI_API_KEY is required for the gemini LLM provider");
+  }
+
+  const client = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model,
+    embeddingModel,
+
+    async generateText({ system, history = [], prompt, temperature }) {
+      const generativeModel = client.getGenerativeModel({
+        model,
+        systemInstruction: system,
+        generationConfig: { temperature }
+      });
+      const { text, usage } = await generate(generativeModel, {
+        contents: [...toContents(history), { role: "user", parts: [{ text: prompt }] }]
+      }, { operation: "text generation" });
+      return { text, usage };
+    },
+
+    async generateJSON({ system, prompt, schema, temperature }) {
+      const generativeModel = client.getGenerativeModel({
+        model,
+        systemInstruction: system,
+        generationConfig: {
+          temperature,
+          responseMimeType: "application/json",
+          responseSchema: toGeminiSchema(schema)
+        }
+      });
+      const { data, usage } = await generate(generativeModel, prompt, { operation: "structured generation", schema });
+      return { data, usage };
+    },
+
+    async countTokens(text) {
+      const { totalTokens } = await callGemini("token count", () => client.getGenerativeModel({ model }).countTokens(text));
+      return totalTokens;
+    },
+
+    async embed(texts) {
+      const embedder = client.getGenerativeModel({ model: embeddingModel });
+      const vectors = [];
+
+      for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+        const { embeddings } = await callGemini("embedding", () => embedder.batchEmbedContents({
+          requests: texts.slice(i, i + EMBED_BATCH_SIZE).map((text) => ({
+            content: { role: "user", parts: [{ text }] }
+          }))
+        }));
+        vectors.push(...embeddings.map((embedding) => embedding.values));
+      }
+
+      return vectors;
+    }
+  };
+};
@@ -0,0 +1,62 @@
+import logger from "../../config/logger.js";
+import { createGeminiProvider } from "./gemini.js";
+import { createMockProvider } from "./mock.js";
+import { trackProviderUsage } from "./usage.js";
+
+export { LLMOutputError } from "./schema.js";
+export { LLMProviderError } from "./errors.js";
+export { withUsageContext } from "./usage.js";
+
+/**
+ * Every provider implements:
+ *
+ *   generateText({ system, history, prompt, temperature })
+ *     -> { text, usage: { totalTokens } }
+ *   generateJSON({ system, prompt, schema, name, temperature })
+ *     -> { data, usage: { totalTokens } }   (data matches `schema`, see schema.js)
+ *   countTokens(text) -> Number
+ *   embed(texts) -> Number[][]
+ *
+ * plus `name`, `model` and `embeddingModel` strings. Calls throw
+ * LLMProviderError when the model cannot be reached or refuses the request,
+ * and generateJSON throws LLMOutputError when its output is unusable.
+ */
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider
+};
+
+let provider = null;
+
+/**
+ * Get the configured LLM provider.
+ * LLM_PROVIDER selects it; without it, Gemini is used when GEMINI_API_KEY
+ * is set and the offline mock otherwise. Calls are recorded as AI usage
+ * when made inside withUsageContext.
+ * @returns {Object} LLM provider
+ */
+export const getProvider = () => {
+  if (!provider) {
+    const name = process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? "gemini" : "mock");
+    const create = PROVIDERS[name];
+
+    if (!create) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+    }
+
+    provider = trackProviderUsage(create());
+    logger.info(`LLM provider: ${provider.name} (${provider.model})`);
+  }
+  return provider;
+};
+
+/**
+ * Get the embedder used for dense retrieval, if enabled with LLM_EMBEDDINGS=true
+ * @returns {Object|null} Embedder ({ name, embed }) or null
+ */
+export const getEmbedder = () => {
+  if (process.env.LLM_EMBEDDINGS !== "true") return null;
+
+  const { embeddingModel, embed } = getProvider();
+  return { name: embeddingModel, embed };
+};
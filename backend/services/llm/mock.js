@@ -0,0 +1,260 @@
+import { tokenize } from "../retrieval/tokenizer.js";
+import { parseStructuredOutput } from "./schema.js";
+
+const EMBEDDING_DIMENSIONS = 256;
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+/**
+ * 32-bit FNV-1a hash, used to seed deterministic output
+ * @param {String} text - Input
+ * @returns {Number} Hash
+ */
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+};
+
+/**
+ * Pick sentences out of a prompt to build grounded-looking output from.
+ * When the prompt holds numbered passages ("[n] ..."), only their text is
+ * used and each sentence remembers the passage it came from.
+ * @param {String} prompt - Prompt text
+ * @returns {Array<{text: String, source: Number|null}>} Sentences
+ */
+const sentencesOf = (prompt) => {
+  const passages = [...prompt.matchAll(/^\[(\d+)\][^\n]*\n([\s\S]*?)(?=\n\n|$)/gm)]
+    .map((match) => ({ source: Number(match[1]), text: match[2] }));
+  // Without passages, skip the leading instruction paragraph
+  const body = prompt.includes("\n\n") ? prompt.slice(prompt.indexOf("\n\n")) : prompt;
+  const sources = passages.length ? passages : [{ source: null, text: body }];
+
+  const sentences = sources.flatMap(({ source, text }) =>
+    (text.match(/[^.!?\n]+[.!?]/g) || [])
+      .map((sentence) => sentence.trim())
+      .filter((sentence) => sentence.length >= 20 && sentence.length <= 300)
+      .map((sentence) => ({ text: sentence, source }))
+  );
+  return sentences.length
+    ? sentences
+    : [{ text: "The document introduces its main topic and explains the key ideas.", source: null }];
+};
+
+/**
+ * Item count requested by an array schema
+ * @param {Object} schema - Array schema
+ * @param {Number} fallback - Count when the schema sets no bounds
+ * @returns {Number} Item count
+ */
+const itemCount = (schema, fallback) => schema?.minItems ?? schema?.maxItems ?? fallback;
+
+/**
+ * Canned quiz questions per question type, built around one statement
+ */
+const QUESTION_FIXTURES = {
+  "multiple-choice": (sentences, statement, seed) => {
+    const options = [
+      statement,
+      "The document states the opposite of this.",
+      "The document does not mention this topic.",
+      "None of the statements appear in the document."
+    ];
+    // Rotate so the correct option is not always first
+    const shift = seed % options.length;
+    return {
+      type: "multiple-choice",
+      question: "which statement is supported by the document?",
+      options: [...options.slice(shift), ...options.slice(0, shift)],
+      correctAnswer: statement
+    };
+  },
+
+  "true-false": (sentences, statement) => ({
+    type: "true-false",
+    question: `True or false: ${statement}`,
+    correctAnswer: "True"
+  }),
+
+  "multi-select": (sentences, statement, seed) => {
+    const other = sentences[(seed + 1) % sentences.length].text;
+    const correct = [...new Set([statement, other])];
+    return {
+      type: "multi-select",
+      question: "which statements are supported by the document?",
+      options: [...correct, "The document states the opposite of this.", "The document does not mention this topic."],
+      correctAnswers: correct
+    };
+  },
+
+  "fill-blank": (sentences, statement) => {
+    const word = statement.split(/\s+/).reduce((longest, w) => (w.length > longest.length ? w : longest), "")
+      .replace(/[^\p{L}\p{N}-]/gu, "");
+    return {
+      type: "fill-blank",
+      question: `Complete the sentence: ${statement.replace(word, "___")}`,
+      correctAnswer: word,
+      acceptedAnswers: [word.toLowerCase()]
+    };
+  },
+
+  "short-answer": (sentences, statement) => ({
+    type: "short-answer",
+    question: `What does the document say about "${statement.split(/\s+/).slice(0, 6).join(" ")}…"?`,
+    correctAnswer: statement
+  }),
+
+  // Consecutive sentences, or parts of one sentence when the text is short
+  ordering: (sentences, statement, seed) => {
+    const start = seed % Math.max(sentences.length - 2, 1);
+    const words = statement.split(/\s+/);
+    const size = Math.ceil(words.length / 3);
+    const items = [0, 1, 2].map((k) => (sentences.length >= 3
+      ? sentences[start + k].text
+      : words.slice(k * size, (k + 1) * size).join(" ")));
+    return {
+      type: "ordering",
+      question: "put these in the order the document presents them.",
+      options: items
+    };
+  }
+};
+
+/**
+ * Canned structured outputs keyed by the `name` passed to generateJSON
+ */
+const FIXTURES = {
+  quiz: (sentences, schema, seed) => {
+    const items = schema.properties.questions.items.properties;
+    const types = items.type?.enum || ["multiple-choice"];
+
+    return {
+      questions: Array.from({ length: itemCount(schema.properties.questions, 5) }, (_, i) => {
+        const { text: statement, source } = sentences[(seed + i) % sentences.length];
+        return {
+          ...QUESTION_FIXTURES[types[i % types.length]](sentences, statement, seed + i),
+          explanation: `The document says: "${statement}"`,
+          difficulty: DIFFICULTIES[i % DIFFICULTIES.length],
+          sources: source ? [source] : []
+        };
+      }).map((question, i) => ({ ...question, question: `Question ${i + 1}: ${question.question}` }))
+    };
+  },
+
+  // Points for the share of the reference answer's terms the learner used
+  "short-answer-grade": (sentences, schema, seed, prompt) => {
+    const section = (label) =>
+      prompt.split("\n\n").find((part) => part.startsWith(`${label}: `))?.slice(label.length + 2) || "";
+    const reference = new Set(tokenize(section("Reference answer")));
+    const given = new Set(tokenize(prompt.match(/<answer>([\s\S]*?)<\/answer>/)?.[1] || ""));
+    const overlap = reference.size ? [...reference].filter((term) => given.has(term)).length / reference.size : 0;
+    const points = Math.round(overlap * 4);
+
+    return {
+      points,
+      feedback: points === 4
+        ? "Your answer covers the reference answer."
+        : `Your answer covers ${Math.round(overlap * 100)}% of the key terms of the reference answer.`
+    };
+  },
+
+  flashcards: (sentences, schema, seed) => ({
+    cards: Array.from({ length: itemCount(schema.properties.cards, 10) }, (_, i) => {
+      const { text: statement } = sentences[(seed + i) % sentences.length];
+      const topic = statement.split(/\s+/).slice(0, 6).join(" ");
+      return {
+        question: `What does the document say about "${topic}…"?`,
+        answer: statement,
+        difficulty: DIFFICULTIES[i % DIFFICULTIES.length]
+      };
+    })
+  }),
+
+  glossary: (sentences, schema, seed) => ({
+    terms: sentences.slice(0, 5).map(({ text }, i) => ({
+      term: text.split(/\s+/).slice(0, 2).join(" ").replace(/[^\p{L}\p{N} -]/gu, "") || `Term ${seed % 100 + i}`,
+      definition: text
+    }))
+  })
+};
+
+/**
+ * Build a value matching any schema, for outputs without a fixture
+ * @param {Object} schema - Schema
+ * @param {Array<String>} sentences - Text to fill strings with
+ * @param {Number} seed - Deterministic seed
+ * @returns {*} Sample value
+ */
+const sampleFromSchema = (schema, sentences, seed) => {
+  switch (schema.type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, property], i) => [
+          key,
+          sampleFromSchema(property, sentences, seed + i)
+        ])
+      );
+    case "array":
+      return Array.from({ length: itemCount(schema, 3) }, (_, i) => sampleFromSchema(schema.items, sentences, seed + i));
+    case "string":
+      return schema.enum ? schema.enum[seed % schema.enum.length] : sentences[seed % sentences.length].text;
+    case "integer":
+    case "number":
+      return seed % 10;
+    case "boolean":
+      return seed % 2 === 0;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Create the deterministic offline provider. The same input always gives
+ * the same output, and structured outputs always match their schema.
+ * @returns {Object} LLM provider
+ */
+export const createMockProvider = () => ({
+  name: "mock",
+  model: "mock",
+  embeddingModel: `mock-hash-${EMBEDDING_DIMENSIONS}`,
+
+  async generateText({ prompt }) {
+    const [first, ...rest] = sentencesOf(prompt);
+    const text = first.source
+      ? `According to the document: ${first.text} [${first.source}]`
+      : `Here is what the document covers: ${[first, ...rest].slice(0, 3).map((sentence) => sentence.text).join(" ")}`;
+
+    return { text, usage: { totalTokens: Math.ceil((prompt.length + text.length) / 4) } };
+  },
+
+  async generateJSON({ prompt, schema, name }) {
+    const sentences = sentencesOf(prompt);
+    const seed = hash(prompt);
+    const data = FIXTURES[name]
+      ? FIXTURES[name](sentences, schema, seed, prompt)
+      : sampleFromSchema(schema, sentences, seed);
+    const output = JSON.stringify(data);
+
+    return {
+      data: parseStructuredOutput(output, schema),
+      usage: { totalTokens: Math.ceil((prompt.length + output.length) / 4) }
+    };
+  },
+
+  async countTokens(text) {
+    return Math.ceil(text.length / 4);
+  },
+
+  // Hashed bag-of-words vectors: crude, but texts sharing terms end up close
+  async embed(texts) {
+    return texts.map((text) => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      tokenize(text).forEach((term) => {
+        vector[hash(term) % EMBEDDING_DIMENSIONS] += 1;
+      });
+      return vector;
+    });
+  }
+});
@@ -0,0 +1,105 @@
+/**
+ * Structured output schemas are a small subset of JSON Schema that every
+ * provider can honour: type, properties, required, items, enum,
+ * minItems/maxItems, nullable and description.
+ */
+
+/**
+ * Error raised when a model returns output that is not valid JSON or does
+ * not match the requested schema. `errors` lists each problem found and
+ * `output` keeps the raw text so callers can attempt a repair. Providers set
+ * `usage` to the tokens the unusable response still used.
+ */
+export class LLMOutputError extends Error {
+  constructor(message, { errors = [], output = "", usage = null } = {}) {
+    super(message);
+    this.name = "LLMOutputError";
+    this.errors = errors;
+    this.output = output;
+    this.usage = usage;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {String} path - Location of `value`, used in messages
+ * @returns {Array<String>} Validation errors (empty when valid)
+ */
+export const validateSchema = (value, schema, path = "$") => {
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [`${path} is required`];
+  }
+
+  switch (schema.type) {
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) return [`${path} must be an object`];
+      const missing = (schema.required || [])
+        .filter((key) => value[key] === undefined || value[key] === null)
+        .map((key) => `${path}.${key} is required`);
+      const nested = Object.entries(schema.properties || {})
+        .filter(([key]) => value[key] !== undefined && value[key] !== null)
+        .flatMap(([key, property]) => validateSchema(value[key], property, `${path}.${key}`));
+      return [...missing, ...nested];
+    }
+    case "array": {
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      const errors = [];
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+      }
+      return [...errors, ...value.flatMap((item, i) => validateSchema(item, schema.items, `${path}[${i}]`))];
+    }
+    case "string":
+      if (typeof value !== "string") return [`${path} must be a string`];
+      return schema.enum && !schema.enum.includes(value)
+        ? [`${path} must be one of ${schema.enum.join(", ")}`]
+        : [];
+    case "integer":
+      return Number.isInteger(value) ? [] : [`${path} must be an integer`];
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) ? [] : [`${path} must be a number`];
+    case "boolean":
+      return typeof value === "boolean" ? [] : [`${path} must be a boolean`];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Parse model output as JSON, tolerating Markdown code fences
+ * @param {String} output - Raw model output
+ * @returns {*} Parsed value
+ */
+export const parseJSONOutput = (output) => {
+  const text = output.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new LLMOutputError(`Model output is not valid JSON: ${error.message}`, {
+      errors: [error.message],
+      output
+    });
+  }
+};
+
+/**
+ * Parse and validate model output against a schema
+ * @param {String} output - Raw model output
+ * @param {Object} schema - Expected schema
+ * @returns {*} Parsed value
+ */
+export const parseStructuredOutput = (output, schema) => {
+  const value = parseJSONOutput(output);
+  const errors = validateSchema(value, schema);
+
+  if (errors.length) {
+    throw new LLMOutputError("Model output does not match the expected schema", { errors, output });
+  }
+  return value;
+};
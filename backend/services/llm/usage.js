@@ -0,0 +1,109 @@
+import { AsyncLocalStorage } from "async_hooks";
+import mongoose from "mongoose";
+import AiUsage from "../../models/AiUsage.js";
+import logger from "../../config/logger.js";
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` so that every provider call it makes, including ones from
+ * background work it starts, is recorded against the given user.
+ * @param {Object} context - { userId, feature, documentId }
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of `fn`
+ */
+export const withUsageContext = (context, fn) => usageContext.run(context, fn);
+
+/**
+ * Store one provider call for the current usage context, if any.
+ * Never throws: losing a usage record must not fail the request.
+ * @param {Object} entry - { operation, provider, model, totalTokens }
+ */
+const recordUsage = async (entry) => {
+  const context = usageContext.getStore();
+  if (!context?.userId) return;
+
+  try {
+    await AiUsage.create({
+      userId: context.userId,
+      documentId: context.documentId || null,
+      feature: context.feature,
+      ...entry
+    });
+  } catch (error) {
+    logger.warn(`Recording AI usage failed: ${error.message}`);
+  }
+};
+
+/**
+ * Run a generate call and record its usage. Calls that fail after the model
+ * responded (unusable output, blocked response) are recorded too, from the
+ * `usage` their error carries: they were paid for all the same.
+ * @param {Object} provider - LLM provider
+ * @param {String} operation - "generateText" or "generateJSON"
+ * @param {Object} options - Call options
+ * @returns {Promise<Object>} Result of the call
+ */
+const trackGenerate = async (provider, operation, options) => {
+  let usage = null;
+  try {
+    const result = await provider[operation](options);
+    usage = result.usage || { totalTokens: 0 };
+    return result;
+  } catch (error) {
+    usage = error.usage || null;
+    throw error;
+  } finally {
+    if (usage) {
+      await recordUsage({
+        operation,
+        provider: provider.name,
+        model: provider.model,
+        totalTokens: usage.totalTokens || 0
+      });
+    }
+  }
+};
+
+/**
+ * Wrap a provider so its generate and embed calls are recorded
+ * @param {Object} provider - LLM provider
+ * @returns {Object} Provider with the same interface
+ */
+export const trackProviderUsage = (provider) => ({
+  ...provider,
+
+  generateText: (options) => trackGenerate(provider, "generateText", options),
+
+  generateJSON: (options) => trackGenerate(provider, "generateJSON", options),
+
+  async embed(texts) {
+    const vectors = await provider.embed(texts);
+    // Embedding APIs do not report usage; estimate at 4 characters per token
+    await recordUsage({
+      operation: "embed",
+      provider: provider.name,
+      model: provider.embeddingModel,
+      totalTokens: Math.ceil(texts.reduce((sum, text) => sum + text.length, 0) / 4)
+    });
+    return vectors;
+  }
+});
+
+/**
+ * Total AI usage per user
+ * @param {Array<String>} userIds - Users to total
+ * @param {Date} since - Only count calls after this date (optional)
+ * @returns {Promise<Map<String, Object>>} userId -> { requests, totalTokens }
+ */
+export const getUsageTotals = async (userIds, since) => {
+  const match = { userId: { $in: userIds.map((id) => new mongoose.Types.ObjectId(String(id))) } };
+  if (since) match.createdAt = { $gte: since };
+
+  const totals = await AiUsage.aggregate([
+    { $match: match },
+    { $group: { _id: "$userId", requests: { $sum: 1 }, totalTokens: { $sum: "$totalTokens" } } }
+  ]);
+
+  return new Map(totals.map(({ _id, requests, totalTokens }) => [String(_id), { requests, totalTokens }]));
+};
@@ -0,0 +1,62 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import logger from "../../config/logger.js";
+
+/**
+ * A mail transport sends one message: async ({ from, to, subject, text, html }) => void.
+ * MAIL_TRANSPORT picks one of:
+ *   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   file    - writes each message as JSON to MAIL_FILE_DIR (default: mail/)
+ *   console - logs each message (default outside production)
+ */
+const TRANSPORTS = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return async (message) => {
+      await transporter.sendMail(message);
+    };
+  },
+
+  file: () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || "mail");
+    return async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9.@-]/g, "_")}.json`;
+      await fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+    };
+  },
+
+  console: () => async (message) => {
+    logger.info(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+let transport = null;
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+export const sendMail = async (message) => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "console");
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(TRANSPORTS).join(", ")}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "AI Learning Platform <no-reply@localhost>",
+    ...message
+  });
+};
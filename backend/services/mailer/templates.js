@@ -0,0 +1,54 @@
+const APP_NAME = "AI Learning Platform";
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+
+/**
+ * Escape text for use in HTML content and attributes
+ * @param {String} text - Text, possibly user-provided
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Build a link into the frontend
+ * @param {String} pathname - Frontend path
+ * @param {String} token - Token to pass along
+ * @returns {String} Absolute URL
+ */
+const frontendLink = (pathname, token) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || "http://localhost:5173");
+  url.searchParams.set("token", token);
+  return url.toString();
+};
+
+/**
+ * Email asking a user to confirm their address
+ * @param {Object} user - User ({ name, email })
+ * @param {String} token - Verification token
+ * @returns {Object} { to, subject, text, html }
+ */
+export const verifyEmailMessage = (user, token) => {
+  const link = frontendLink("/verify-email", token);
+  return {
+    to: user.email,
+    subject: `Confirm your email for ${APP_NAME}`,
+    text: `Hi ${user.name || "there"},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name || "there")},</p><p>Please confirm your email address:</p><p><a href="${escapeHtml(link)}">Confirm my email</a></p><p>The link expires in 24 hours.</p>`
+  };
+};
+
+/**
+ * Email with a password reset link
+ * @param {Object} user - User ({ name, email })
+ * @param {String} token - Reset token
+ * @returns {Object} { to, subject, text, html }
+ */
+export const resetPasswordMessage = (user, token) => {
+  const link = frontendLink("/reset-password", token);
+  return {
+    to: user.email,
+    subject: `Reset your ${APP_NAME} password`,
+    text: `Hi ${user.name || "there"},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name || "there")},</p><p>Someone asked to reset your password. If it was you:</p><p><a href="${escapeHtml(link)}">Reset my password</a></p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`
+  };
+};
@@ -0,0 +1,389 @@
+import { getProvider, LLMOutputError } from "./llm/index.js";
+import { selectStudyChunks, formatPassages } from "./studyContext.js";
+import { normalizeQuestionText } from "./adaptiveQuiz.js";
+import { QUESTION_TYPES } from "../models/Quiz.js";
+import logger from "../config/logger.js";
+
+const MAX_ATTEMPTS = 3;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+// Fewer items than this make an ordering question a coin toss
+const MIN_ORDERING_ITEMS = 3;
+const BLANK = "___";
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const SYSTEM_INSTRUCTION = `You write quiz questions that test understanding of a study document.
+Only use facts stated in the numbered passages you are given.
+Each question has a "type":
+- "multiple-choice": 4 options, exactly one correct. "correctAnswer" repeats the correct option exactly.
+- "true-false": a statement to judge. "correctAnswer" is "True" or "False"; leave out "options".
+- "multi-select": 4 to 6 options, at least two correct. "correctAnswers" repeats every correct option exactly.
+- "fill-blank": a sentence with the missing word or phrase written as ${BLANK}. "correctAnswer" is the missing text and "acceptedAnswers" lists other spellings that are also right; leave out "options".
+- "short-answer": a question answered in one or two sentences. "correctAnswer" is a model answer; leave out "options".
+- "ordering": a question asking to put 3 to 6 items in order (steps, events, stages). "options" lists the items in the correct order.
+"sources" lists the numbers of the passages each question is based on.`;
+
+/**
+ * Structured output schema for a batch of questions
+ * @param {Number} count - Number of questions requested
+ * @param {Array<String>} types - Question types allowed
+ * @returns {Object} Schema
+ */
+const quizSchema = (count, types) => ({
+  type: "object",
+  required: ["questions"],
+  properties: {
+    questions: {
+      type: "array",
+      minItems: count,
+      maxItems: count,
+      items: {
+        type: "object",
+        required: ["type", "question", "difficulty"],
+        properties: {
+          type: { type: "string", enum: types },
+          question: { type: "string" },
+          options: { type: "array", items: { type: "string" } },
+          correctAnswer: { type: "string" },
+          correctAnswers: { type: "array", items: { type: "string" } },
+          acceptedAnswers: { type: "array", items: { type: "string" } },
+          explanation: { type: "string" },
+          difficulty: { type: "string", enum: DIFFICULTIES },
+          sources: { type: "array", items: { type: "integer" } }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Split a count in proportion to weights, using largest remainder
+ * apportionment so the parts add up to `count`. All-zero weights split evenly.
+ * @param {Number} count - Total
+ * @param {Array<Number>} weights - Non-negative weights
+ * @returns {Array<Number>} Parts, in the order of `weights`
+ */
+const apportion = (count, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = totalWeight ? weights : weights.map(() => 1);
+  const exact = shares.map((weight) => (count * weight) / (totalWeight || shares.length));
+  const counts = exact.map(Math.floor);
+  exact
+    .map((value, i) => ({ i, remainder: value - counts[i] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .slice(0, count - counts.reduce((sum, value) => sum + value, 0))
+    .forEach(({ i }) => counts[i]++);
+
+  return counts;
+};
+
+/**
+ * Split a question count across difficulties
+ * @param {Number} count - Total number of questions
+ * @param {String|Object} difficulty - "easy" | "medium" | "hard" | "mixed", or weights such as { easy: 1, hard: 2 }
+ * @returns {Object} { easy, medium, hard } question counts
+ */
+export const resolveDifficultyMix = (count, difficulty = "mixed") => {
+  if (DIFFICULTIES.includes(difficulty)) {
+    return { easy: 0, medium: 0, hard: 0, [difficulty]: count };
+  }
+
+  const weights = DIFFICULTIES.map((level) =>
+    typeof difficulty === "object" && difficulty !== null ? Math.max(0, Number(difficulty[level]) || 0) : 1
+  );
+  const counts = apportion(count, weights);
+
+  return Object.fromEntries(DIFFICULTIES.map((level, i) => [level, counts[i]]));
+};
+
+/**
+ * Split a question count evenly across question types
+ * @param {Number} count - Total number of questions
+ * @param {Array<String>} types - Question types
+ * @returns {Object} Question count per type, in the order of `types`
+ */
+export const resolveTypeMix = (count, types) => {
+  const counts = apportion(count, types.map(() => 1));
+  return Object.fromEntries(types.map((type, i) => [type, counts[i]]));
+};
+
+/**
+ * Describe a mix of counts for a prompt, e.g. "2 easy, 1 hard"
+ * @param {Object} mix - Count per key
+ * @returns {String} Description
+ */
+const describeMix = (mix) => Object.entries(mix)
+  .filter(([, count]) => count > 0)
+  .map(([key, count]) => `${count} ${key}`)
+  .join(", ");
+
+/**
+ * Find which option a model's `correctAnswer` refers to. Accepts the
+ * option text (any case), a letter ("B", "b)") or a 1-based number.
+ * @param {String} correctAnswer - Model answer
+ * @param {Array<String>} options - Cleaned options
+ * @returns {Number} Option index, or -1
+ */
+const findCorrectOption = (correctAnswer, options) => {
+  const answer = String(correctAnswer).trim();
+  const exact = options.findIndex((option) => option === answer);
+  if (exact !== -1) return exact;
+
+  const lower = answer.toLowerCase();
+  const caseInsensitive = options.findIndex((option) => option.toLowerCase() === lower);
+  if (caseInsensitive !== -1) return caseInsensitive;
+
+  const label = answer.match(/^(?:option\s+)?([a-z]|\d+)[).:]?(?:\s+(.*))?$/i);
+  if (label) {
+    const index = /\d/.test(label[1]) ? Number(label[1]) - 1 : label[1].toLowerCase().charCodeAt(0) - 97;
+    if (index >= 0 && index < options.length && (!label[2] || options[index].toLowerCase() === label[2].toLowerCase())) {
+      return index;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Drop "A)", "b." style labels, blanks and duplicates from generated options
+ * @param {Array<*>} options - Options as returned by the model
+ * @returns {Array<String>} Cleaned options
+ */
+const cleanOptions = (options) => {
+  const seen = new Set();
+  return (options || [])
+    .map((option) => String(option).trim().replace(/^[a-f][).:]\s+/i, ""))
+    .filter((option) => option && !seen.has(option.toLowerCase()) && seen.add(option.toLowerCase()));
+};
+
+/**
+ * Shuffle the items of an ordering question so they never start out in the right order
+ * @param {Array<String>} items - Items in the correct order
+ * @returns {Array<String>} Shuffled items
+ */
+const shuffleItems = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.every((item, i) => item === items[i]) ? [...items.slice(1), items[0]] : shuffled;
+};
+
+/**
+ * Per-type checks of a generated question. Each returns the type-specific
+ * fields ({ options, correctAnswer, ... }) or { error }.
+ */
+const TYPE_NORMALIZERS = {
+  "multiple-choice": (raw, question) => {
+    const options = cleanOptions(raw.options);
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+      return { error: `"${question}" has ${options.length} distinct options` };
+    }
+
+    const correctIndex = findCorrectOption(raw.correctAnswer ?? "", options);
+    if (correctIndex === -1) {
+      return { error: `"${question}" has a correctAnswer that matches none of its options` };
+    }
+
+    return {
+      options: options.map((option, i) => ({ option, isCorrect: i === correctIndex })),
+      correctAnswer: options[correctIndex]
+    };
+  },
+
+  "true-false": (raw, question) => {
+    const options = ["True", "False"];
+    const correctIndex = findCorrectOption(raw.correctAnswer ?? "", options);
+    if (correctIndex === -1) {
+      return { error: `"${question}" has a correctAnswer that is neither True nor False` };
+    }
+
+    return {
+      options: options.map((option, i) => ({ option, isCorrect: i === correctIndex })),
+      correctAnswer: options[correctIndex]
+    };
+  },
+
+  "multi-select": (raw, question) => {
+    const options = cleanOptions(raw.options);
+    if (options.length < MIN_OPTIONS + 1 || options.length > MAX_OPTIONS) {
+      return { error: `"${question}" has ${options.length} distinct options` };
+    }
+
+    const correctIndexes = new Set((raw.correctAnswers || []).map((answer) => findCorrectOption(answer, options)));
+    if (!correctIndexes.size || correctIndexes.has(-1)) {
+      return { error: `"${question}" has correctAnswers that do not all match its options` };
+    }
+
+    return {
+      options: options.map((option, i) => ({ option, isCorrect: correctIndexes.has(i) })),
+      correctAnswer: options.filter((_, i) => correctIndexes.has(i)).join("; ")
+    };
+  },
+
+  "fill-blank": (raw, question) => {
+    const correctAnswer = raw.correctAnswer?.trim();
+    if (!/_{3,}/.test(question)) {
+      return { error: `"${question}" has no ${BLANK} for the missing text` };
+    }
+    if (!correctAnswer) {
+      return { error: `"${question}" has no correctAnswer` };
+    }
+
+    return {
+      question: question.replace(/_{3,}/g, BLANK),
+      options: [],
+      correctAnswer,
+      acceptedAnswers: cleanOptions(raw.acceptedAnswers)
+        .filter((answer) => answer.toLowerCase() !== correctAnswer.toLowerCase())
+    };
+  },
+
+  "short-answer": (raw, question) => {
+    const correctAnswer = raw.correctAnswer?.trim();
+    if (!correctAnswer) {
+      return { error: `"${question}" has no model answer in correctAnswer` };
+    }
+
+    return { options: [], correctAnswer };
+  },
+
+  ordering: (raw, question) => {
+    const items = cleanOptions(raw.options);
+    if (items.length < MIN_ORDERING_ITEMS || items.length > MAX_OPTIONS) {
+      return { error: `"${question}" has ${items.length} distinct items to order` };
+    }
+
+    return {
+      options: shuffleItems(items).map((option) => ({ option, isCorrect: false })),
+      correctAnswer: items.join(" → "),
+      correctOrder: items
+    };
+  }
+};
+
+/**
+ * Repair a generated question where possible and check it is usable
+ * @param {Object} raw - Question as returned by the model
+ * @param {Array<Object>} passages - Chunks the passage numbers refer to
+ * @param {Array<String>} types - Question types asked for
+ * @returns {Object} { question } when valid, { error } otherwise
+ */
+export const normalizeQuestion = (raw, passages, types = ["multiple-choice"]) => {
+  const question = raw.question?.trim();
+  if (!question) return { error: "question text is empty" };
+
+  const type = raw.type || "multiple-choice";
+  if (!types.includes(type)) {
+    return { error: `"${question}" is a ${type} question, which was not asked for` };
+  }
+
+  const { error, ...fields } = TYPE_NORMALIZERS[type](raw, question);
+  if (error) return { error };
+
+  return {
+    question: {
+      type,
+      question,
+      ...fields,
+      explanation: raw.explanation?.trim() || "",
+      difficulty: DIFFICULTIES.includes(raw.difficulty) ? raw.difficulty : "medium",
+      sourceChunks: [...new Set((raw.sources || [])
+        .filter((source) => Number.isInteger(source) && source >= 1 && source <= passages.length)
+        .map((source) => passages[source - 1].chunkIndex))]
+    }
+  };
+};
+
+/**
+ * Generate validated quiz questions from a document.
+ * Invalid questions are repaired when possible and dropped otherwise;
+ * the model is asked again for the missing ones, up to MAX_ATTEMPTS calls.
+ * Adaptive quizzes pass the passages to focus on, questions the learner
+ * missed (to test again in other words) and questions they mastered
+ * (never asked again).
+ * @param {Object} document - Document with its chunks selected
+ * @param {Object} options - { count, difficulty, types, topic, focusChunks, missedQuestions, masteredQuestions }
+ * @returns {Promise<Array<Object>>} Questions in Quiz schema format
+ */
+export const generateQuizQuestions = async (document, {
+  count,
+  difficulty,
+  types = ["multiple-choice"],
+  topic,
+  focusChunks = [],
+  missedQuestions = [],
+  masteredQuestions = []
+}) => {
+  const passages = await selectStudyChunks(document, { topic, focusChunks });
+  const questionTypes = types.filter((type) => QUESTION_TYPES.includes(type));
+  const mixDescription = describeMix(resolveDifficultyMix(count, difficulty));
+  const typeMix = resolveTypeMix(count, questionTypes.length ? questionTypes : ["multiple-choice"]);
+
+  const questions = [];
+  const askedQuestions = new Set(masteredQuestions.map(normalizeQuestionText));
+  let problems = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS && questions.length < count; attempt++) {
+    const remaining = count - questions.length;
+    // Ask for the types still short of their share; once the shares cannot add up, any requested type
+    const typesLeft = Object.fromEntries(Object.entries(typeMix)
+      .map(([type, wanted]) => [type, Math.max(0, wanted - questions.filter((q) => q.type === type).length)]));
+    const sharesFit = Object.values(typesLeft).reduce((sum, left) => sum + left, 0) === remaining;
+    const schemaTypes = sharesFit ? Object.keys(typesLeft).filter((type) => typesLeft[type]) : Object.keys(typeMix);
+    const prompt = [
+      `Passages from "${document.title}":`,
+      formatPassages(passages),
+      `Write ${remaining} question(s)${topic ? ` focused on: ${topic}` : ""}.`,
+      `Question types: ${sharesFit ? describeMix(typesLeft) : schemaTypes.join(" or ")}.`,
+      `Difficulty mix for the whole quiz: ${mixDescription}.`,
+      missedQuestions.length
+        ? `The learner got these questions wrong before. Test the same ideas again with new wording:\n${missedQuestions.map((q) => `- ${q.question} (answer: ${q.correctAnswer})`).join("\n")}`
+        : "",
+      masteredQuestions.length
+        ? `The learner has mastered these questions, do not ask them again:\n${masteredQuestions.map((q) => `- ${q}`).join("\n")}`
+        : "",
+      questions.length
+        ? `Do not repeat these questions:\n${questions.map((q) => `- ${q.question}`).join("\n")}`
+        : "",
+      problems.length
+        ? `Your previous answer had these problems, avoid them:\n${problems.map((p) => `- ${p}`).join("\n")}`
+        : ""
+    ].filter(Boolean).join("\n\n");
+
+    problems = [];
+
+    try {
+      const { data } = await getProvider().generateJSON({
+        system: SYSTEM_INSTRUCTION,
+        prompt,
+        schema: quizSchema(remaining, schemaTypes),
+        name: "quiz"
+      });
+
+      for (const raw of data.questions.slice(0, remaining)) {
+        const { question, error } = normalizeQuestion(raw, passages, Object.keys(typeMix));
+        if (error) {
+          problems.push(error);
+        } else if (!askedQuestions.has(normalizeQuestionText(question.question))) {
+          askedQuestions.add(normalizeQuestionText(question.question));
+          questions.push(question);
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof LLMOutputError)) throw error;
+      problems.push(...error.errors.slice(0, 10));
+    }
+
+    if (problems.length) {
+      logger.warn(`Quiz generation attempt ${attempt} for document ${document._id}: ${problems.join("; ")}`);
+    }
+  }
+
+  if (!questions.length) {
+    throw new LLMOutputError("The model did not return any usable quiz question", { errors: problems });
+  }
+
+  return questions;
+};
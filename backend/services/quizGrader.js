@@ -0,0 +1,277 @@
+import { gradeShortAnswer, normalizeAnswerText } from "./shortAnswerGrader.js";
+
+/**
+ * Server-side grading for quizzes. The client sends the option(s) it picked
+ * or the text it typed; correctness and partial credit are decided here.
+ */
+
+// Types answered with a list of options rather than a single value
+const LIST_TYPES = ["multi-select", "ordering"];
+
+/**
+ * Type of a question; questions from before typed questions are multiple choice
+ * @param {Object} question - Quiz question
+ * @returns {String} Question type
+ */
+export const questionType = (question) => question.type || "multiple-choice";
+
+const optionTexts = (question) => question.options.map(({ option }) => option);
+
+const correctOptions = (question) =>
+  question.options.filter(({ isCorrect }) => isCorrect).map(({ option }) => option);
+
+/**
+ * Per-type rules: `check` returns an error message for an answer that does
+ * not fit the question (or null), `grade` returns { credit, isCorrect, feedback }
+ */
+const QUESTION_HANDLERS = {
+  "multiple-choice": {
+    check: (question, answer) =>
+      optionTexts(question).includes(answer) ? null : "is not one of its options",
+    grade: (question, answer) => {
+      const isCorrect = correctOptions(question).includes(answer);
+      return { credit: isCorrect ? 1 : 0, isCorrect };
+    }
+  },
+
+  // Credit for each correct option picked, less one for each wrong one
+  "multi-select": {
+    check: (question, answer) => {
+      const options = optionTexts(question);
+      if (!answer.every((option) => options.includes(option))) return "includes options the question does not have";
+      if (new Set(answer).size !== answer.length) return "picks the same option twice";
+      return null;
+    },
+    grade: (question, answer) => {
+      const correct = correctOptions(question);
+      const picked = answer.filter((option) => correct.includes(option)).length;
+      const wrong = answer.length - picked;
+      const credit = Math.max(0, (picked - wrong) / correct.length);
+      return { credit, isCorrect: picked === correct.length && !wrong };
+    }
+  },
+
+  "fill-blank": {
+    check: () => null,
+    grade: (question, answer) => {
+      const given = normalizeAnswerText(answer);
+      const isCorrect = [question.correctAnswer, ...(question.acceptedAnswers || [])]
+        .some((accepted) => normalizeAnswerText(accepted) === given);
+      return { credit: isCorrect ? 1 : 0, isCorrect };
+    }
+  },
+
+  "short-answer": {
+    check: () => null,
+    grade: gradeShortAnswer
+  },
+
+  // Credit for each item in its right place
+  ordering: {
+    check: (question, answer) => {
+      const options = optionTexts(question);
+      const isPermutation = answer.length === options.length &&
+        new Set(answer).size === answer.length &&
+        answer.every((option) => options.includes(option));
+      return isPermutation ? null : "must list every option exactly once";
+    },
+    grade: (question, answer) => {
+      const inPlace = question.correctOrder.filter((option, i) => answer[i] === option).length;
+      return { credit: inPlace / question.correctOrder.length, isCorrect: inPlace === question.correctOrder.length };
+    }
+  }
+};
+QUESTION_HANDLERS["true-false"] = QUESTION_HANDLERS["multiple-choice"];
+
+/**
+ * Check that an answer fits its question: one of the options, a list of
+ * options, or text, depending on the question type
+ * @param {Object} question - Quiz question
+ * @param {String|Array<String>} selectedAnswer - Submitted answer
+ * @returns {String|null} What is wrong with the answer, or null when valid
+ */
+export const checkAnswer = (question, selectedAnswer) => {
+  const type = questionType(question);
+
+  if (LIST_TYPES.includes(type)) {
+    if (!Array.isArray(selectedAnswer) || !selectedAnswer.every((option) => typeof option === "string")) {
+      return "must be a list of options";
+    }
+  } else if (typeof selectedAnswer !== "string") {
+    return "must be text";
+  }
+
+  return QUESTION_HANDLERS[type].check(question, selectedAnswer);
+};
+
+/**
+ * Grade one answer. Short answers are graded by the model, so this may
+ * call the LLM provider.
+ * @param {Object} question - Quiz question
+ * @param {String|Array<String>} selectedAnswer - Submitted answer, checked with checkAnswer
+ * @returns {Promise<Object>} { credit (0-1), isCorrect, feedback }
+ */
+export const gradeAnswer = async (question, selectedAnswer) => {
+  const { credit, isCorrect, feedback = "" } = await QUESTION_HANDLERS[questionType(question)]
+    .grade(question, selectedAnswer);
+  return { credit, isCorrect, feedback };
+};
+
+/**
+ * Record a graded answer on the current attempt, replacing any earlier
+ * answer to the same question
+ * @param {Object} quiz - Quiz document (mutated)
+ * @param {Number} questionIndex - Question index
+ * @param {String|Array<String>} selectedAnswer - Submitted answer
+ * @param {Object} grade - Result of gradeAnswer
+ */
+export const recordAnswer = (quiz, questionIndex, selectedAnswer, grade) => {
+  const answer = {
+    questionIndex,
+    ...(Array.isArray(selectedAnswer) ? { selectedAnswers: selectedAnswer } : { selectedAnswer }),
+    ...grade
+  };
+  const existing = quiz.userAnswers.findIndex((entry) => entry.questionIndex === questionIndex);
+
+  if (existing === -1) {
+    quiz.userAnswers.push(answer);
+  } else {
+    quiz.userAnswers.set(existing, answer);
+  }
+};
+
+/**
+ * Credit earned by an answer; answers from before partial credit earn all or nothing
+ * @param {Object} answer - Recorded answer
+ * @returns {Number} Credit, 0-1
+ */
+const creditOf = (answer) => answer.credit ?? (answer.isCorrect ? 1 : 0);
+
+/**
+ * Answer as the client sent it: a list for multi-select and ordering questions
+ * @param {Object} answer - Recorded answer
+ * @returns {String|Array<String>|null} Submitted answer
+ */
+const submittedAnswer = (answer) =>
+  answer?.selectedAnswers?.length ? [...answer.selectedAnswers] : answer?.selectedAnswer ?? null;
+
+/**
+ * Complete the current attempt: compute the score (percentage of all
+ * questions' credit earned, unanswered ones count as wrong)
+ * @param {Object} quiz - Quiz document (mutated)
+ */
+export const completeAttempt = (quiz) => {
+  const credit = quiz.userAnswers.reduce((sum, answer) => sum + creditOf(answer), 0);
+
+  quiz.score = quiz.totalQuestions ? Math.round((credit / quiz.totalQuestions) * 100) : 0;
+  quiz.completedAt = new Date();
+  quiz.answerAttempts += 1;
+};
+
+/**
+ * Archive the completed attempt and reset the quiz for a retake
+ * @param {Object} quiz - Quiz document (mutated)
+ */
+export const startRetake = (quiz) => {
+  quiz.attempts.push({
+    userAnswers: quiz.userAnswers.map(({ questionIndex, selectedAnswer, selectedAnswers, isCorrect, credit, feedback }) => ({
+      questionIndex,
+      selectedAnswer,
+      selectedAnswers: selectedAnswers?.length ? [...selectedAnswers] : undefined,
+      isCorrect,
+      credit,
+      feedback
+    })),
+    score: quiz.score,
+    correctCount: quiz.userAnswers.filter((answer) => answer.isCorrect).length,
+    startedAt: quiz.startedAt || quiz.createdAt,
+    completedAt: quiz.completedAt
+  });
+
+  quiz.userAnswers = [];
+  quiz.score = 0;
+  quiz.completedAt = undefined;
+  quiz.startedAt = new Date();
+};
+
+/**
+ * Completed attempts of a quiz, oldest first: archived retakes and the
+ * current attempt once submitted
+ * @param {Object} quiz - Quiz document or lean object
+ * @returns {Array<Object>} { userAnswers, score, completedAt }
+ */
+export const getCompletedAttempts = (quiz) => [
+  ...(quiz.attempts || []),
+  ...(quiz.completedAt ? [{ userAnswers: quiz.userAnswers, score: quiz.score, completedAt: quiz.completedAt }] : [])
+].filter((attempt) => attempt.completedAt);
+
+/**
+ * Quiz as shown while it is being taken: no correct answers or explanations
+ * @param {Object} quiz - Quiz document
+ * @returns {Object} Sanitized quiz
+ */
+export const formatQuizForTaking = (quiz) => ({
+  _id: quiz._id,
+  documentId: quiz.documentId,
+  title: quiz.title,
+  topic: quiz.topic,
+  mode: quiz.mode,
+  totalQuestions: quiz.totalQuestions,
+  questions: quiz.questions.map((question, index) => ({
+    index,
+    type: questionType(question),
+    question: question.question,
+    options: optionTexts(question),
+    difficulty: question.difficulty
+  })),
+  answers: quiz.userAnswers.map((answer) => ({ questionIndex: answer.questionIndex, selectedAnswer: submittedAnswer(answer) })),
+  answerAttempts: quiz.answerAttempts,
+  completedAt: quiz.completedAt || null,
+  startedAt: quiz.startedAt
+});
+
+/**
+ * Results of a completed attempt, question by question
+ * @param {Object} quiz - Quiz document
+ * @returns {Object} Results
+ */
+export const formatQuizResults = (quiz) => {
+  const answers = new Map(quiz.userAnswers.map((answer) => [answer.questionIndex, answer]));
+
+  return {
+    _id: quiz._id,
+    documentId: quiz.documentId,
+    title: quiz.title,
+    score: quiz.score,
+    totalQuestions: quiz.totalQuestions,
+    correctCount: quiz.userAnswers.filter((answer) => answer.isCorrect).length,
+    completedAt: quiz.completedAt,
+    questions: quiz.questions.map((question, index) => {
+      const type = questionType(question);
+      const answer = answers.get(index);
+
+      return {
+        index,
+        type,
+        question: question.question,
+        options: optionTexts(question),
+        difficulty: question.difficulty,
+        selectedAnswer: submittedAnswer(answer),
+        correctAnswer: question.correctAnswer,
+        ...(type === "multi-select" && { correctAnswers: correctOptions(question) }),
+        ...(type === "ordering" && { correctOrder: [...question.correctOrder] }),
+        ...(type === "fill-blank" && { acceptedAnswers: [...(question.acceptedAnswers || [])] }),
+        isCorrect: answer?.isCorrect ?? false,
+        credit: answer ? creditOf(answer) : 0,
+        feedback: answer?.feedback || null,
+        explanation: question.explanation
+      };
+    }),
+    attempts: quiz.attempts.map(({ score, correctCount, startedAt, completedAt }) => ({
+      score,
+      correctCount,
+      startedAt,
+      completedAt
+    }))
+  };
+};
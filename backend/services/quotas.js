@@ -0,0 +1,156 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Document from "../models/Documents.js";
+import { getUsageTotals } from "./llm/usage.js";
+import { formatFileSize } from "../config/multer.config.js";
+import { AppError } from "../utils/errors.js";
+
+/**
+ * Read a limit from the environment. 0 turns the quota off.
+ * @param {String} name - Environment variable
+ * @param {Number} fallback - Default limit
+ * @returns {Number|null} Limit, or null for unlimited
+ */
+const envLimit = (name, fallback) => {
+  const value = Number(process.env[name] ?? fallback);
+  if (!Number.isFinite(value) || value < 0) return fallback;
+  return value === 0 ? null : value;
+};
+
+export const QUOTA_FIELDS = ["storageBytes", "documents", "monthlyTokens", "monthlyRequests"];
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Default limits, from QUOTA_STORAGE_MB, QUOTA_DOCUMENTS,
+ * QUOTA_MONTHLY_TOKENS and QUOTA_MONTHLY_AI_REQUESTS
+ * @returns {Object} { storageBytes, documents, monthlyTokens, monthlyRequests } (null = unlimited)
+ */
+const getDefaultLimits = () => {
+  const storageMb = envLimit("QUOTA_STORAGE_MB", 500);
+
+  return {
+    storageBytes: storageMb && storageMb * 1024 * 1024,
+    documents: envLimit("QUOTA_DOCUMENTS", 100),
+    monthlyTokens: envLimit("QUOTA_MONTHLY_TOKENS", 1000000),
+    monthlyRequests: envLimit("QUOTA_MONTHLY_AI_REQUESTS", 1000)
+  };
+};
+
+/**
+ * Start of the current calendar month, the period AI usage is counted for
+ * @returns {Date} First day of the month, 00:00
+ */
+export const startOfMonth = () => {
+  const date = new Date();
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+};
+
+/**
+ * Start of the next calendar month, when monthly AI usage resets
+ * @returns {Date} First day of next month, 00:00
+ */
+const startOfNextMonth = () => {
+  const date = new Date();
+  return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+};
+
+/**
+ * Total stored documents and bytes per user
+ * @param {Array<String>} userIds - Users to total
+ * @returns {Promise<Map<String, Object>>} userId -> { documents, bytes }
+ */
+export const getStorageTotals = async (userIds) => {
+  const totals = await Document.aggregate([
+    { $match: { userId: { $in: userIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } },
+    { $group: { _id: "$userId", documents: { $sum: 1 }, bytes: { $sum: "$fileSize" } } }
+  ]);
+
+  return new Map(totals.map(({ _id, documents, bytes }) => [String(_id), { documents, bytes }]));
+};
+
+/**
+ * Limits that apply to a user: their own quota (User.quota) where set,
+ * the defaults otherwise
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { storageBytes, documents, monthlyTokens, monthlyRequests } (null = unlimited)
+ */
+const getUserLimits = async (userId) => {
+  const user = await User.findById(userId).select("quota");
+  const defaults = getDefaultLimits();
+
+  return Object.fromEntries(QUOTA_FIELDS.map((field) => {
+    const own = user?.quota?.[field];
+    if (own === null || own === undefined) return [field, defaults[field]];
+    return [field, own === 0 ? null : own];
+  }));
+};
+
+// ==================== QUOTAS ====================
+
+/**
+ * Usage of a user against their quotas
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { period, storage, documents, aiTokens, aiRequests }, each { used, limit }
+ */
+export const getQuotaUsage = async (userId) => {
+  const since = startOfMonth();
+  const [limits, storage, ai] = await Promise.all([
+    getUserLimits(userId),
+    getStorageTotals([userId]),
+    getUsageTotals([userId], since)
+  ]);
+  const { documents, bytes } = storage.get(String(userId)) || { documents: 0, bytes: 0 };
+  const { requests, totalTokens } = ai.get(String(userId)) || { requests: 0, totalTokens: 0 };
+
+  return {
+    period: { start: since, resetsAt: startOfNextMonth() },
+    storage: { used: bytes, limit: limits.storageBytes },
+    documents: { used: documents, limit: limits.documents },
+    aiTokens: { used: totalTokens, limit: limits.monthlyTokens },
+    aiRequests: { used: requests, limit: limits.monthlyRequests }
+  };
+};
+
+/**
+ * Check that a user has room for another document
+ * @param {String} userId - User ID
+ * @param {Number} bytes - Size of the new document (0 to only check that room is left)
+ * @throws {AppError} 402 DOCUMENT_QUOTA_EXCEEDED or STORAGE_QUOTA_EXCEEDED
+ */
+export const assertStorageQuota = async (userId, bytes = 0) => {
+  const { storage, documents } = await getQuotaUsage(userId);
+
+  if (documents.limit !== null && documents.used >= documents.limit) {
+    throw new AppError(`You have reached your limit of ${documents.limit} documents, delete some to upload more`, {
+      statusCode: 402,
+      code: "DOCUMENT_QUOTA_EXCEEDED",
+      details: documents
+    });
+  }
+
+  if (storage.limit !== null && storage.used + bytes > storage.limit) {
+    throw new AppError(
+      `This upload would exceed your storage limit of ${formatFileSize(storage.limit)} (${formatFileSize(storage.used)} used)`,
+      { statusCode: 402, code: "STORAGE_QUOTA_EXCEEDED", details: storage }
+    );
+  }
+};
+
+/**
+ * Check that a user has AI requests and tokens left this month
+ * @param {String} userId - User ID
+ * @throws {AppError} 429 AI_QUOTA_EXCEEDED
+ */
+export const assertAiQuota = async (userId) => {
+  const { period, aiTokens, aiRequests } = await getQuotaUsage(userId);
+  const exceeded = [aiTokens, aiRequests].some((quota) => quota.limit !== null && quota.used >= quota.limit);
+
+  if (exceeded) {
+    throw new AppError("You have used your AI allowance for this month", {
+      statusCode: 429,
+      code: "AI_QUOTA_EXCEEDED",
+      details: { aiTokens, aiRequests, resetsAt: period.resetsAt }
+    });
+  }
+};
@@ -0,0 +1,292 @@
+import crypto from "crypto";
+import { Readable } from "stream";
+import UploadSession from "../models/UploadSession.js";
+import Document from "../models/Documents.js";
+import logger from "../config/logger.js";
+import { getStorage } from "./storage/index.js";
+import { generateUniqueFilename } from "../config/multer.config.js";
+import { AppError, ConflictError, ValidationError } from "../utils/errors.js";
+
+// Chunk size suggested to clients, and the largest one accepted
+export const CHUNK_SIZE = 5 * 1024 * 1024;
+export const MAX_CHUNK_SIZE = 10 * 1024 * 1024;
+// An upload expires this long after its last chunk
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+// Unfinished uploads a user may have at once
+const MAX_ACTIVE_UPLOADS = 5;
+// Expired uploads cleaned up per sweep
+const EXPIRE_BATCH_SIZE = 100;
+// A completion running longer than this is taken to have died with its process
+const COMPLETION_TIMEOUT_MS = 15 * 60 * 1000;
+
+// ==================== HELPER FUNCTIONS ====================
+
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL_MS);
+
+/**
+ * Delete stored parts, logging the ones that cannot be deleted
+ * @param {Array<Object>} parts - Upload parts
+ * @returns {Promise<void>}
+ */
+const deleteParts = async (parts) => {
+  const storage = getStorage();
+  await Promise.all(parts.map((part) =>
+    storage.delete(part.key).catch((error) => logger.warn(`Deleting upload part ${part.key} failed: ${error.message}`))
+  ));
+};
+
+/**
+ * Delete the file an upload was assembled into, unless a document was
+ * created from it before its session could be updated
+ * @param {String|null} key - Assembled file
+ * @returns {Promise<void>}
+ */
+const deleteAssembledFile = async (key) => {
+  if (!key || await Document.exists({ storageKey: key })) return;
+  await getStorage().delete(key).catch((error) => logger.warn(`Deleting assembled upload ${key} failed: ${error.message}`));
+};
+
+/**
+ * Error for a chunk that does not start where the upload stands
+ * @param {Number} offset - Current offset of the upload
+ * @returns {Object} ConflictError
+ */
+const offsetMismatch = (offset) =>
+  new ConflictError(`Expected a chunk starting at byte ${offset}`, {
+    code: "OFFSET_MISMATCH",
+    details: { offset }
+  });
+
+// ==================== UPLOAD SESSIONS ====================
+
+/**
+ * Start a resumable upload
+ * @param {Object} options - { userId, fileName, mimeType, size, checksum, title }
+ * @returns {Promise<Object>} Upload session
+ */
+export const createUploadSession = async ({ userId, fileName, mimeType, size, checksum = null, title = null }) => {
+  const active = await UploadSession.countDocuments({
+    userId,
+    status: "active",
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (active >= MAX_ACTIVE_UPLOADS) {
+    throw new AppError(`You can have at most ${MAX_ACTIVE_UPLOADS} unfinished uploads, finish or cancel one first`, {
+      statusCode: 429,
+      code: "TOO_MANY_UPLOADS"
+    });
+  }
+
+  return UploadSession.create({
+    userId,
+    fileName,
+    mimeType,
+    size,
+    checksum: checksum?.toLowerCase() || null,
+    title,
+    expiresAt: nextExpiry()
+  });
+};
+
+/**
+ * Store the next chunk of an upload. Chunks must arrive in order; a chunk
+ * racing another one for the same offset is discarded.
+ * @param {Object} session - Upload session
+ * @param {Object} chunk - { offset, data (Buffer), checksum (base64 SHA-256 of data, optional) }
+ * @returns {Promise<Object>} Updated session
+ */
+export const appendChunk = async (session, { offset, data, checksum }) => {
+  if (session.status !== "active") {
+    throw new ConflictError("This upload is already completed", { code: "UPLOAD_COMPLETED" });
+  }
+  if (offset !== session.offset) {
+    throw offsetMismatch(session.offset);
+  }
+  if (!data?.length) {
+    throw new ValidationError("Chunk is empty", { code: "EMPTY_CHUNK" });
+  }
+  if (offset + data.length > session.size) {
+    throw new ValidationError("Chunk goes past the announced file size", { code: "UPLOAD_SIZE_EXCEEDED" });
+  }
+  if (checksum && crypto.createHash("sha256").update(data).digest("base64") !== checksum) {
+    throw new ValidationError("Chunk does not match its checksum", { code: "CHECKSUM_MISMATCH" });
+  }
+
+  const storage = getStorage();
+  const key = `upload-parts/${session._id}/${String(offset).padStart(12, "0")}-${crypto.randomBytes(4).toString("hex")}`;
+  await storage.put(key, data, { contentType: "application/octet-stream" });
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: "active", offset },
+    {
+      $inc: { offset: data.length },
+      $push: { parts: { key, offset, size: data.length } },
+      $set: { expiresAt: nextExpiry() }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await deleteParts([{ key }]);
+    const current = await UploadSession.findById(session._id);
+    throw offsetMismatch(current?.offset ?? session.offset);
+  }
+
+  return updated;
+};
+
+/**
+ * Join the parts of a fully received upload into one stored document and
+ * verify it against its SHA-256 checksum. On a mismatch the upload is reset
+ * to offset 0 so it can be sent again. The parts are kept until
+ * finishUploadSession, so releaseUploadSession can reopen the upload if
+ * completing it fails later on.
+ * @param {Object} session - Upload session
+ * @param {String} checksum - Expected SHA-256 (hex), if not given when the upload was created
+ * @returns {Promise<Object>} Stored file, shaped like a multer file ({ key, filename, fieldname, originalname, mimetype, size })
+ */
+export const assembleUpload = async (session, checksum) => {
+  const expected = (checksum || session.checksum)?.toLowerCase();
+
+  if (!expected) {
+    throw new ValidationError("A SHA-256 checksum of the file is required", { code: "CHECKSUM_REQUIRED" });
+  }
+  if (session.status !== "active") {
+    throw new ConflictError("This upload is already completed", { code: "UPLOAD_COMPLETED" });
+  }
+  if (session.offset !== session.size) {
+    throw new ConflictError(`Upload is incomplete: ${session.offset} of ${session.size} bytes received`, {
+      code: "UPLOAD_INCOMPLETE",
+      details: { offset: session.offset }
+    });
+  }
+
+  // Only one request gets to complete an upload
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: "active", offset: session.size },
+    { $set: { status: "completing", expiresAt: nextExpiry() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ConflictError("This upload is already being completed", { code: "UPLOAD_COMPLETED" });
+  }
+
+  const storage = getStorage();
+  const filename = generateUniqueFilename("doc", claimed.fileName);
+  const key = `documents/${filename}`;
+  const parts = [...claimed.parts].sort((a, b) => a.offset - b.offset);
+  const hash = crypto.createHash("sha256");
+
+  async function* joinParts() {
+    for (const part of parts) {
+      for await (const chunk of await storage.getStream(part.key)) {
+        hash.update(chunk);
+        yield chunk;
+      }
+    }
+  }
+
+  let size;
+  try {
+    // Recorded first so a process dying mid-write leaves a key to clean up
+    await UploadSession.updateOne({ _id: claimed._id }, { $set: { assembledKey: key } });
+    ({ size } = await storage.put(key, Readable.from(joinParts()), { contentType: claimed.mimeType }));
+  } catch (error) {
+    await storage.delete(key).catch(() => {});
+    await UploadSession.updateOne({ _id: claimed._id }, { $set: { status: "active", assembledKey: null } });
+    throw error;
+  }
+
+  if (hash.digest("hex") !== expected || size !== claimed.size) {
+    await storage.delete(key);
+    await deleteParts(parts);
+    await UploadSession.updateOne(
+      { _id: claimed._id },
+      { $set: { status: "active", offset: 0, parts: [], assembledKey: null, expiresAt: nextExpiry() } }
+    );
+    throw new ValidationError("The uploaded file does not match its checksum, please upload it again", {
+      code: "CHECKSUM_MISMATCH",
+      details: { offset: 0 }
+    });
+  }
+
+  return {
+    key,
+    filename,
+    fieldname: "document",
+    originalname: claimed.fileName,
+    mimetype: claimed.mimeType,
+    size
+  };
+};
+
+/**
+ * Record the document an upload became and delete its parts
+ * @param {Object} session - Upload session
+ * @param {String} documentId - Created document
+ * @returns {Promise<void>}
+ */
+export const finishUploadSession = async (session, documentId) => {
+  await UploadSession.updateOne(
+    { _id: session._id },
+    { $set: { status: "completed", documentId, parts: [], assembledKey: null } }
+  );
+  await deleteParts(session.parts);
+};
+
+/**
+ * Undo an assembly that could not be turned into a document: delete the
+ * assembled file and reopen the upload, so completing it can be retried
+ * without sending the file again
+ * @param {Object} session - Upload session
+ * @param {String} key - Assembled file
+ * @returns {Promise<void>}
+ */
+export const releaseUploadSession = async (session, key) => {
+  await deleteAssembledFile(key);
+  await UploadSession.updateOne(
+    { _id: session._id, status: "completing" },
+    { $set: { status: "active", assembledKey: null, expiresAt: nextExpiry() } }
+  );
+};
+
+/**
+ * Whether an upload can be cancelled: while it is still receiving chunks,
+ * or when its completion was left unfinished by a process that died
+ * @param {Object} session - Upload session
+ * @returns {Boolean} Whether the upload can be cancelled
+ */
+export const isCancellable = (session) =>
+  session.status === "active" ||
+  (session.status === "completing" && Date.now() - session.updatedAt > COMPLETION_TIMEOUT_MS);
+
+/**
+ * Cancel an upload and delete what was received
+ * @param {Object} session - Upload session
+ * @returns {Promise<void>}
+ */
+export const abortUploadSession = async (session) => {
+  await UploadSession.deleteOne({ _id: session._id });
+  await deleteParts(session.parts);
+  await deleteAssembledFile(session.assembledKey);
+};
+
+/**
+ * Delete expired uploads with their parts and any file a dead completion
+ * left assembled. A part stored by a process that died before recording it
+ * is not tracked and stays behind.
+ * @returns {Promise<Number>} Number of uploads removed
+ */
+export const expireUploadSessions = async () => {
+  const now = new Date();
+  const sessions = await UploadSession.find({ expiresAt: { $lt: now } }).limit(EXPIRE_BATCH_SIZE);
+
+  for (const session of sessions) {
+    await deleteParts(session.parts);
+    await deleteAssembledFile(session.assembledKey);
+    await UploadSession.deleteOne({ _id: session._id, expiresAt: { $lt: now } });
+  }
+
+  return sessions.length;
+};
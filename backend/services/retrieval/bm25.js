@@ -0,0 +1,67 @@
+import { tokenize } from "./tokenizer.js";
+
+/**
+ * Okapi BM25 index over a fixed list of texts
+ */
+export class BM25Index {
+  /**
+   * @param {Array<String>} texts - Texts to index; their position is their id
+   * @param {Object} options - { k1, b } BM25 parameters
+   */
+  constructor(texts, { k1 = 1.5, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.termFrequencies = texts.map((text) => {
+      const frequencies = new Map();
+      tokenize(text).forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return frequencies;
+    });
+    this.lengths = this.termFrequencies.map((frequencies) =>
+      [...frequencies.values()].reduce((sum, count) => sum + count, 0)
+    );
+    this.averageLength = this.lengths.reduce((sum, length) => sum + length, 0) / (texts.length || 1);
+
+    this.documentFrequencies = new Map();
+    this.termFrequencies.forEach((frequencies) => {
+      frequencies.forEach((count, term) => {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      });
+    });
+  }
+
+  /**
+   * Inverse document frequency of a term
+   * @param {String} term - Normalized term
+   * @returns {Number} IDF
+   */
+  idf(term) {
+    const total = this.termFrequencies.length;
+    const frequency = this.documentFrequencies.get(term) || 0;
+    return Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  /**
+   * Rank indexed texts against a query
+   * @param {String} query - Search query
+   * @param {Number} topK - Maximum number of results
+   * @returns {Array<{id: Number, score: Number}>} Matches, best first
+   */
+  search(query, topK = 5) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length) return [];
+
+    return this.termFrequencies
+      .map((frequencies, id) => {
+        const lengthNorm = 1 - this.b + this.b * (this.lengths[id] / (this.averageLength || 1));
+        const score = terms.reduce((sum, term) => {
+          const count = frequencies.get(term);
+          if (!count) return sum;
+          return sum + this.idf(term) * ((count * (this.k1 + 1)) / (count + this.k1 * lengthNorm));
+        }, 0);
+        return { id, score };
+      })
+      .filter((match) => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.id - b.id)
+      .slice(0, topK);
+  }
+}
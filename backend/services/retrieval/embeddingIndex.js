@@ -0,0 +1,59 @@
+/**
+ * An embedder turns texts into vectors. Anything with this shape can be
+ * passed to the retrieval layer:
+ *
+ *   {
+ *     name: String,                                  // identifies the vector space
+ *     embed: async (texts: String[]) => Number[][]   // one vector per text
+ *   }
+ */
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<Number>} a - First vector
+ * @param {Array<Number>} b - Second vector
+ * @returns {Number} Similarity in [-1, 1]
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+/**
+ * Dense vector index searched by cosine similarity
+ */
+export class EmbeddingIndex {
+  /**
+   * @param {Object} embedder - Embedder used for queries (same space as `vectors`)
+   * @param {Array<Array<Number>|null>} vectors - One vector per indexed text, by position
+   */
+  constructor(embedder, vectors) {
+    this.embedder = embedder;
+    this.vectors = vectors;
+  }
+
+  /**
+   * Rank indexed vectors against a query
+   * @param {String} query - Search query
+   * @param {Number} topK - Maximum number of results
+   * @returns {Promise<Array<{id: Number, score: Number}>>} Matches, best first
+   */
+  async search(query, topK = 5) {
+    const [queryVector] = await this.embedder.embed([query]);
+
+    return this.vectors
+      .map((vector, id) => ({ id, score: vector?.length ? cosineSimilarity(queryVector, vector) : 0 }))
+      .filter((match) => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.id - b.id)
+      .slice(0, topK);
+  }
+}
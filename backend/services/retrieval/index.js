@@ -0,0 +1,95 @@
+import { BM25Index } from "./bm25.js";
+import { EmbeddingIndex } from "./embeddingIndex.js";
+
+const MAX_CACHED_INDEXES = 50;
+// Reciprocal rank fusion constant
+const RRF_K = 60;
+
+// Built indexes keyed by document id and processing time, oldest first
+const indexCache = new Map();
+
+/**
+ * Text a chunk is indexed under (its heading path plus its content)
+ * @param {Object} chunk - Document chunk
+ * @returns {String} Indexed text
+ */
+const chunkText = (chunk) => (chunk.heading ? `${chunk.heading}\n${chunk.content}` : chunk.content);
+
+/**
+ * Compute and attach embeddings to chunks
+ * @param {Array<Object>} chunks - Document chunks (mutated)
+ * @param {Object} embedder - Embedder ({ name, embed })
+ * @returns {Promise<Array<Object>>} The same chunks with `embedding` set
+ */
+export const embedChunks = async (chunks, embedder) => {
+  const vectors = await embedder.embed(chunks.map(chunkText));
+  chunks.forEach((chunk, i) => {
+    chunk.embedding = vectors[i];
+  });
+  return chunks;
+};
+
+/**
+ * Build (or reuse) the retrieval index of a document
+ * @param {Object} document - Document with its chunks selected
+ * @param {Object|null} embedder - Optional embedder for dense retrieval
+ * @returns {Object} { bm25, embeddings }
+ */
+const getIndex = (document, embedder) => {
+  const key = `${document._id}:${new Date(document.processedAt || 0).getTime()}`;
+  let index = indexCache.get(key);
+
+  if (!index) {
+    index = { bm25: new BM25Index(document.chunks.map(chunkText)) };
+    indexCache.set(key, index);
+    if (indexCache.size > MAX_CACHED_INDEXES) {
+      indexCache.delete(indexCache.keys().next().value);
+    }
+  }
+
+  const hasEmbeddings = embedder &&
+    document.embeddingModel === embedder.name &&
+    document.chunks.some((chunk) => chunk.embedding?.length);
+
+  return {
+    bm25: index.bm25,
+    embeddings: hasEmbeddings
+      ? new EmbeddingIndex(embedder, document.chunks.map((chunk) => chunk.embedding))
+      : null
+  };
+};
+
+/**
+ * Find the chunks of a document most relevant to a query.
+ * Uses BM25, fused with embedding similarity (reciprocal rank fusion)
+ * when an embedder is given and the document was embedded with it.
+ * @param {Object} document - Document with its chunks selected
+ * @param {String} query - Search query
+ * @param {Object} options - { topK, embedder }
+ * @returns {Promise<Array<{chunkIndex: Number, score: Number}>>} Matches, best first
+ */
+export const retrieveChunks = async (document, query, { topK = 5, embedder = null } = {}) => {
+  if (!document.chunks?.length || !query?.trim()) return [];
+
+  const { bm25, embeddings } = getIndex(document, embedder);
+  const toChunkIndex = (id) => document.chunks[id].chunkIndex;
+
+  if (!embeddings) {
+    return bm25.search(query, topK).map(({ id, score }) => ({ chunkIndex: toChunkIndex(id), score }));
+  }
+
+  const candidates = topK * 4;
+  const rankings = [bm25.search(query, candidates), await embeddings.search(query, candidates)];
+  const fused = new Map();
+
+  rankings.forEach((ranking) => {
+    ranking.forEach(({ id }, rank) => {
+      fused.set(id, (fused.get(id) || 0) + 1 / (RRF_K + rank + 1));
+    });
+  });
+
+  return [...fused.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .slice(0, topK)
+    .map(([id, score]) => ({ chunkIndex: toChunkIndex(id), score }));
+};
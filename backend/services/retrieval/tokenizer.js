@@ -0,0 +1,33 @@
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "has", "have",
+  "he", "her", "his", "how", "i", "if", "in", "into", "is", "it", "its", "me", "my", "not",
+  "of", "on", "or", "our", "she", "so", "than", "that", "the", "their", "them", "then",
+  "there", "these", "they", "this", "those", "to", "was", "we", "were", "what", "when",
+  "where", "which", "who", "why", "will", "with", "you", "your", "does", "do", "did",
+  "can", "could", "should", "would", "about", "explain", "tell"
+]);
+
+/**
+ * Reduce a word to a rough stem (plural and common suffixes)
+ * @param {String} word - Lowercase word
+ * @returns {String} Stem
+ */
+const stem = (word) => {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(?:ies)$/, "y")
+    .replace(/(?:sses)$/, "ss")
+    .replace(/([^s])s$/, "$1")
+    .replace(/(?:ing|edly|ed|ly)$/, "")
+    .replace(/(?:ational)$/, "ate");
+};
+
+/**
+ * Split text into normalized search terms
+ * @param {String} text - Raw text
+ * @returns {Array<String>} Terms
+ */
+export const tokenize = (text) =>
+  (text.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
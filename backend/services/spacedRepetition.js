@@ -0,0 +1,68 @@
+/**
+ * SM-2 style spaced repetition. A review grade moves a card's ease factor,
+ * interval and due date; failing a card ("again") counts as a lapse and
+ * restarts its repetitions.
+ */
+
+export const REVIEW_GRADES = ["again", "hard", "good", "easy"];
+
+// SM-2 quality (0-5) for each grade
+const QUALITY = { again: 2, hard: 3, good: 4, easy: 5 };
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const HARD_FACTOR = 1.2;
+const EASY_BONUS = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute a card's schedule after a review
+ * @param {Object} card - Card ({ easeFactor, interval, repetitions, lapses, reviewCount })
+ * @param {String} grade - "again" | "hard" | "good" | "easy"
+ * @param {Date} now - Review time
+ * @returns {Object} Fields to set on the card
+ */
+export const scheduleReview = (card, grade, now = new Date()) => {
+  const quality = QUALITY[grade];
+  const ease = card.easeFactor || DEFAULT_EASE;
+  const previousInterval = card.interval || 0;
+  let repetitions = card.repetitions || 0;
+  let lapses = card.lapses || 0;
+  let interval;
+
+  if (quality < 3) {
+    repetitions = 0;
+    lapses += 1;
+    interval = 1;
+  } else {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = grade === "hard" ? 3 : 6;
+    } else if (grade === "hard") {
+      interval = Math.max(previousInterval + 1, Math.round(previousInterval * HARD_FACTOR));
+    } else {
+      interval = Math.round(previousInterval * ease);
+    }
+
+    if (grade === "easy") {
+      interval = Math.round(interval * EASY_BONUS) || 1;
+    }
+    repetitions += 1;
+  }
+
+  const easeFactor = Math.max(
+    MIN_EASE,
+    ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    dueDate: new Date(now.getTime() + interval * DAY_MS),
+    lastReviewed: now,
+    reviewCount: (card.reviewCount || 0) + 1
+  };
+};
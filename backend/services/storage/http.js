@@ -0,0 +1,77 @@
+import { getStorage } from "./index.js";
+import { AppError, NotFoundError } from "../../utils/errors.js";
+
+/**
+ * Content-Disposition header value, with the file name encoded so any
+ * characters survive (RFC 6266)
+ * @param {String} type - "inline" | "attachment"
+ * @param {String} fileName - Name shown to the user
+ * @returns {String} Header value
+ */
+export const contentDisposition = (type, fileName) => {
+  if (!fileName) return type;
+
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * Send a stored file, honouring a single HTTP byte range so viewers
+ * (e.g. PDF.js) can fetch pages on demand. Multiple ranges get the whole file.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} key - Storage key
+ * @param {Object} options - { contentType, fileName, disposition, headers }
+ */
+export const sendStoredFile = async (req, res, key, {
+  contentType = "application/octet-stream",
+  fileName,
+  disposition = "attachment",
+  headers = {}
+} = {}) => {
+  const storage = getStorage();
+  const stats = await storage.stat(key);
+
+  if (!stats) {
+    throw new NotFoundError("File not found");
+  }
+
+  // -1: unsatisfiable, -2: malformed (ignored, as the spec allows)
+  const ranges = req.headers.range ? req.range(stats.size, { combine: true }) : undefined;
+
+  if (ranges === -1) {
+    res.set("Content-Range", `bytes */${stats.size}`);
+    throw new AppError("Requested range is not satisfiable", {
+      statusCode: 416,
+      code: "RANGE_NOT_SATISFIABLE"
+    });
+  }
+
+  const range = Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1 ? ranges[0] : null;
+
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Content-Type": contentType,
+    "Content-Disposition": contentDisposition(disposition, fileName),
+    "X-Content-Type-Options": "nosniff",
+    ...(stats.lastModified && { "Last-Modified": new Date(stats.lastModified).toUTCString() }),
+    ...headers
+  });
+
+  if (range) {
+    res.status(206).set({
+      "Content-Range": `bytes ${range.start}-${range.end}/${stats.size}`,
+      "Content-Length": range.end - range.start + 1
+    });
+  } else {
+    res.set("Content-Length", stats.size);
+  }
+
+  if (req.method === "HEAD") {
+    return res.end();
+  }
+
+  const stream = await storage.getStream(key, range || {});
+  // Headers are gone by the time a read fails, so just cut the response
+  stream.on("error", () => res.destroy()).pipe(res);
+};
@@ -0,0 +1,64 @@
+import logger from "../../config/logger.js";
+import { createLocalStorage } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+export { verifyKeySignature } from "./signing.js";
+
+/**
+ * Every storage driver implements:
+ *
+ *   put(key, body, { contentType }) -> { key, size }   (body: Buffer or Readable)
+ *   getStream(key, { start, end })   -> Readable       (byte range is inclusive)
+ *   stat(key)                        -> { size, contentType?, lastModified } | null
+ *   delete(key)                      -> Boolean
+ *   getSignedUrl(key, { expiresIn, fileName, contentType, disposition }) -> String
+ *
+ * plus a `name`. Keys look like "documents/<file>" or "profiles/<file>".
+ */
+const DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage driver, selected with STORAGE_DRIVER
+ * (local by default)
+ * @returns {Object} Storage driver
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const create = DRIVERS[name];
+
+    if (!create) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Expected one of: ${Object.keys(DRIVERS).join(", ")}`);
+    }
+
+    storage = create();
+    logger.info(`File storage: ${storage.name}`);
+  }
+  return storage;
+};
+
+/**
+ * Read a stored file into memory
+ * @param {String} key - Storage key
+ * @returns {Promise<Buffer>} File contents
+ */
+export const readStoredFile = async (key) => {
+  const chunks = [];
+  for await (const chunk of await getStorage().getStream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Storage key of a stored file. Records written before storage drivers
+ * hold a local path such as "uploads/documents/<file>" instead.
+ * @param {String} value - Stored key or legacy path
+ * @returns {String|null} Storage key
+ */
+export const toStorageKey = (value) => value ? value.replace(/^\/?uploads\//, "") : null;
@@ -0,0 +1,85 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { signKey } from "./signing.js";
+
+/**
+ * Create the local disk driver. Keys are paths below `root`.
+ * Signed URLs point at GET /api/files/signed/<key>, which checks the signature.
+ * @param {Object} options - { root, publicBaseUrl }
+ * @returns {Object} Storage driver
+ */
+export const createLocalStorage = ({
+  root = process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), "uploads"),
+  publicBaseUrl = process.env.PUBLIC_API_URL || ""
+} = {}) => {
+  const base = path.resolve(root);
+
+  // Keys come from our own code, but never let one escape the root
+  const resolve = (key) => {
+    const fullPath = path.resolve(base, key);
+    if (!fullPath.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, body) {
+      const fullPath = resolve(key);
+      await fsp.mkdir(path.dirname(fullPath), { recursive: true });
+
+      if (Buffer.isBuffer(body)) {
+        await fsp.writeFile(fullPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(fullPath));
+      }
+
+      const { size } = await fsp.stat(fullPath);
+      return { key, size };
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const fullPath = resolve(key);
+      // Fail here rather than with an unhandled stream error later
+      await fsp.access(fullPath);
+      return fs.createReadStream(fullPath, { start, end });
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fsp.stat(resolve(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fsp.unlink(resolve(key));
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    },
+
+    async getSignedUrl(key, { expiresIn = 300, fileName, contentType, disposition = "attachment" } = {}) {
+      const params = {
+        expires: String(Math.floor(Date.now() / 1000) + expiresIn),
+        ...(fileName && { fileName }),
+        ...(contentType && { contentType }),
+        disposition
+      };
+      params.signature = signKey(key, params);
+      const search = new URLSearchParams(params);
+      const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+      return `${publicBaseUrl}/api/files/signed/${encodedKey}?${search}`;
+    }
+  };
+};
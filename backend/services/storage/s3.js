@@ -0,0 +1,91 @@
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+/**
+ * Create the S3-compatible driver (AWS S3, MinIO, R2...).
+ * For MinIO and most stand-ins set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true.
+ * @param {Object} options - { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }
+ * @returns {Object} Storage driver
+ */
+export const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true",
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Without explicit keys the SDK falls back to its default credential chain
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const isNotFound = (error) =>
+    error.name === "NotFound" || error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: "s3",
+
+    async put(key, body, { contentType } = {}) {
+      // Upload handles streams of unknown length with multipart uploads
+      await new Upload({
+        client,
+        params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType }
+      }).done();
+
+      const { ContentLength } = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return { key, size: ContentLength };
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const range = start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined;
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+      return Body;
+    },
+
+    async stat(key) {
+      try {
+        const { ContentLength, ContentType, LastModified } = await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return { size: ContentLength, contentType: ContentType, lastModified: LastModified };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    },
+
+    async getSignedUrl(key, { expiresIn = 300, fileName, contentType, disposition = "attachment" } = {}) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentType: contentType,
+          ResponseContentDisposition: fileName
+            ? `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`
+            : disposition
+        }),
+        { expiresIn }
+      );
+    }
+  };
+};
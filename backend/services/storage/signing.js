@@ -0,0 +1,38 @@
+import crypto from "crypto";
+
+// Query parameters a signed link may carry besides the key, all covered by the signature
+export const SIGNED_PARAMS = ["expires", "fileName", "contentType", "disposition"];
+
+/**
+ * Secret for signed storage links, from STORAGE_SIGNING_SECRET
+ * (falls back to JWT_SECRET so development works without extra setup)
+ * @returns {String} Secret
+ */
+const getSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a storage key with its link parameters
+ * @param {String} key - Storage key
+ * @param {Object} params - { expires (Unix seconds), fileName, contentType, disposition }
+ * @returns {String} Signature (hex)
+ */
+export const signKey = (key, params) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update([key, ...SIGNED_PARAMS.map((name) => params[name] ?? "")].join("\n"))
+    .digest("hex");
+
+/**
+ * Check the signature of a link produced with signKey
+ * @param {String} key - Storage key
+ * @param {Object} query - Link query ({ signature, ...SIGNED_PARAMS })
+ * @returns {Boolean} Whether the signature is valid and not expired
+ */
+export const verifyKeySignature = (key, query) => {
+  const expiresAt = Number(query.expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(signKey(key, query));
+  const actual = Buffer.from(String(query.signature || ""));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,76 @@
+import { retrieveChunks } from "./retrieval/index.js";
+import { getEmbedder } from "./llm/index.js";
+import { ValidationError } from "../utils/errors.js";
+
+const DEFAULT_MAX_CHARS = 12000;
+const FOCUS_SHARE = 0.6;
+
+/**
+ * Format chunks as numbered passages for a prompt
+ * @param {Array<Object>} chunks - Chunks, in passage order
+ * @returns {String} Prompt context
+ */
+export const formatPassages = (chunks) =>
+  chunks
+    .map((chunk, i) => {
+      const location = [
+        chunk.heading,
+        chunk.slideNumber ? `slide ${chunk.slideNumber}` : chunk.pageNumber ? `page ${chunk.pageNumber}` : null
+      ].filter(Boolean).join(", ");
+      return `[${i + 1}]${location ? ` (${location})` : ""}\n${chunk.content}`;
+    })
+    .join("\n\n");
+
+/**
+ * Pick the chunks a generator should work from, within a character budget.
+ * With a topic, the most relevant chunks are used; otherwise chunks are
+ * sampled evenly across the document so every part of it is covered.
+ * Focus chunks (e.g. where a learner went wrong) come first and take up to
+ * FOCUS_SHARE of the budget, so the rest of the document still gets covered.
+ * @param {Object} document - Document with its chunks selected
+ * @param {Object} options - { topic, focusChunks (chunk indexes, most important first), maxChars }
+ * @returns {Promise<Array<Object>>} Selected chunks, in document order
+ * @throws {ValidationError} TOPIC_NOT_FOUND when no chunk matches the topic
+ */
+export const selectStudyChunks = async (document, { topic, focusChunks = [], maxChars = DEFAULT_MAX_CHARS } = {}) => {
+  const { chunks } = document;
+  let candidates;
+
+  if (topic?.trim()) {
+    const matches = await retrieveChunks(document, topic, { topK: 20, embedder: getEmbedder() });
+    candidates = matches.map(({ chunkIndex }) => chunks[chunkIndex]).filter(Boolean);
+
+    if (!candidates.length) {
+      throw new ValidationError(`Nothing in this document matches the topic "${topic.trim()}"`, {
+        code: "TOPIC_NOT_FOUND"
+      });
+    }
+  } else {
+    const averageLength = chunks.reduce((sum, chunk) => sum + chunk.content.length, 0) / (chunks.length || 1);
+    const budget = Math.max(1, Math.floor(maxChars / (averageLength || 1)));
+    const step = Math.max(1, chunks.length / budget);
+    candidates = [];
+    for (let i = 0; i < chunks.length && candidates.length < budget; i += step) {
+      candidates.push(chunks[Math.floor(i)]);
+    }
+  }
+
+  const selected = [];
+  const selectedIndexes = new Set();
+  let length = 0;
+
+  for (const chunk of focusChunks.map((index) => chunks[index]).filter(Boolean)) {
+    if (selected.length && length + chunk.content.length > maxChars * FOCUS_SHARE) break;
+    selected.push(chunk);
+    selectedIndexes.add(chunk.chunkIndex);
+    length += chunk.content.length;
+  }
+
+  for (const chunk of candidates.filter((candidate) => !selectedIndexes.has(candidate.chunkIndex))) {
+    if (selected.length && length + chunk.content.length > maxChars) break;
+    selected.push(chunk);
+    length += chunk.content.length;
+  }
+
+  return selected.sort((a, b) => a.chunkIndex - b.chunkIndex);
+};
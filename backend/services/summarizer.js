@@ -0,0 +1,172 @@
+import crypto from "crypto";
+import { getProvider } from "./llm/index.js";
+import { formatPassages } from "./studyContext.js";
+
+export const SUMMARY_STYLES = ["tldr", "outline", "glossary"];
+
+// Characters of document text summarized per map call
+const GROUP_CHARS = 10000;
+// Above this many characters, partial results are merged again in groups
+const REDUCE_CHARS = 12000;
+// Model calls in flight at once for one summary
+const CONCURRENCY = 4;
+
+const SYSTEM_INSTRUCTION = `You summarize study documents for learners.
+Only use information from the text you are given. Be accurate and concise.`;
+
+const MAP_PROMPTS = {
+  tldr: "Summarize the key points of these passages in one short paragraph.",
+  outline: "Write a section-by-section outline of these passages in Markdown: one heading per section with 2-5 bullet points each. Follow the document's own headings where there are any.",
+  glossary: "List the key terms and concepts defined or used in these passages, each with a one-sentence definition."
+};
+
+const REDUCE_PROMPTS = {
+  tldr: "These are summaries of consecutive parts of one document. Merge them into a single TL;DR of at most 5 sentences covering the whole document.",
+  outline: "These are outlines of consecutive parts of one document. Merge them into one Markdown outline, keeping the document order and removing repetition."
+};
+
+const GLOSSARY_SCHEMA = {
+  type: "object",
+  required: ["terms"],
+  properties: {
+    terms: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["term", "definition"],
+        properties: {
+          term: { type: "string" },
+          definition: { type: "string" }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Hash of a document's extracted text, used to key cached summaries
+ * @param {String} text - Extracted text
+ * @returns {String} SHA-256 hex digest
+ */
+export const hashText = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+/**
+ * Split items into consecutive groups of at most `maxChars` characters
+ * @param {Array<*>} items - Items to group
+ * @param {Function} lengthOf - Length of an item
+ * @param {Number} maxChars - Group budget
+ * @returns {Array<Array<*>>} Groups
+ */
+const groupByLength = (items, lengthOf, maxChars) => {
+  const groups = [];
+  let group = [];
+  let length = 0;
+
+  items.forEach((item) => {
+    if (group.length && length + lengthOf(item) > maxChars) {
+      groups.push(group);
+      group = [];
+      length = 0;
+    }
+    group.push(item);
+    length += lengthOf(item);
+  });
+
+  if (group.length) groups.push(group);
+  return groups;
+};
+
+/**
+ * Map items through an async function, at most CONCURRENCY at a time
+ * @param {Array<*>} items - Items
+ * @param {Function} fn - async (item) => result
+ * @returns {Promise<Array<*>>} Results, in item order
+ */
+const mapLimited = async (items, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Merge partial text summaries until a single one is left
+ * @param {Array<String>} partials - Partial summaries, in document order
+ * @param {String} style - "tldr" | "outline"
+ * @returns {Promise<String>} Merged summary
+ */
+const reduceText = async (partials, style) => {
+  if (partials.length === 1) return partials[0];
+
+  const total = partials.reduce((sum, partial) => sum + partial.length, 0);
+  const groups = total > REDUCE_CHARS
+    ? groupByLength(partials, (partial) => partial.length, REDUCE_CHARS)
+    : [partials];
+
+  // Groups of one cannot shrink any further; merge them pairwise instead
+  const mergeable = groups.every((group) => group.length === 1)
+    ? groupByLength(partials, () => 1, 2)
+    : groups;
+
+  const merged = await mapLimited(mergeable, async (group) => {
+    if (group.length === 1) return group[0];
+
+    const { text } = await getProvider().generateText({
+      system: SYSTEM_INSTRUCTION,
+      prompt: `${REDUCE_PROMPTS[style]}\n\n${group.map((partial, i) => `Part ${i + 1}:\n${partial}`).join("\n\n")}`
+    });
+    return text.trim();
+  });
+
+  return reduceText(merged, style);
+};
+
+/**
+ * Summarize a document in the given style, map-reduce over its chunks
+ * so long documents are covered in full rather than truncated.
+ * @param {Object} document - Document with its chunks selected
+ * @param {String} style - "tldr" | "outline" | "glossary"
+ * @returns {Promise<Object>} { content } for text styles, { terms } for the glossary
+ */
+export const summarizeDocument = async (document, style) => {
+  const groups = groupByLength(document.chunks, (chunk) => chunk.content.length, GROUP_CHARS);
+  const provider = getProvider();
+
+  if (style === "glossary") {
+    const results = await mapLimited(groups, (group) => provider.generateJSON({
+      system: SYSTEM_INSTRUCTION,
+      prompt: `${MAP_PROMPTS.glossary}\n\n${formatPassages(group)}`,
+      schema: GLOSSARY_SCHEMA,
+      name: "glossary"
+    }));
+
+    // Reduce locally: keep the first definition of each term
+    const terms = new Map();
+    results.flatMap(({ data }) => data.terms).forEach(({ term, definition }) => {
+      const key = term.trim().toLowerCase();
+      if (key && !terms.has(key)) {
+        terms.set(key, { term: term.trim(), definition: definition.trim() });
+      }
+    });
+
+    return { terms: [...terms.values()].sort((a, b) => a.term.localeCompare(b.term)) };
+  }
+
+  const partials = await mapLimited(groups, async (group) => {
+    const { text } = await provider.generateText({
+      system: SYSTEM_INSTRUCTION,
+      prompt: `${MAP_PROMPTS[style]}\n\n${formatPassages(group)}`
+    });
+    return text.trim();
+  });
+
+  return { content: await reduceText(partials, style) };
+};
@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import { verifyTotp } from "../utils/totp.js";
+import { decryptSecret } from "../utils/encryption.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields needed to check a second factor
+export const TWO_FACTOR_FIELDS = "+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes";
+
+/**
+ * Hash a recovery code for storage. Codes are random, so a plain hash is enough.
+ * @param {String} code - Recovery code
+ * @returns {String} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes: shown to the user once, hashes: stored }
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const value = crypto.randomBytes(5).toString("hex");
+    return `${value.slice(0, 5)}-${value.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check a TOTP or recovery code for a user with 2FA enabled and, when it
+ * is valid, use it up: the time step is remembered and a recovery code
+ * removed. Both are conditional updates, so two requests racing with the
+ * same code cannot both get through. The in-memory user is updated to match.
+ * @param {Object} user - User selected with TWO_FACTOR_FIELDS
+ * @param {String} code - 6-digit code or recovery code
+ * @returns {Promise<String|null>} "totp" or "recovery" when valid, null otherwise
+ */
+export const consumeSecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) return null;
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+  if (step !== null) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, twoFactorEnabled: true, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { $set: { twoFactorLastStep: step } },
+      { new: true, projection: { _id: 1 } }
+    );
+    if (!updated) return null;
+
+    user.twoFactorLastStep = step;
+    return "totp";
+  }
+
+  const hash = hashRecoveryCode(String(code));
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, twoFactorEnabled: true, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } },
+    { new: true, projection: { twoFactorRecoveryCodes: 1 } }
+  );
+  if (!updated) return null;
+
+  user.twoFactorRecoveryCodes = updated.twoFactorRecoveryCodes;
+  return "recovery";
+};
@@ -0,0 +1,203 @@
+import { detectFileKind, EXPECTED_KINDS } from "./sniff.js";
+import { readZipEntries, readZipEntry } from "./zip.js";
+import { getScanner } from "./scanners.js";
+import { checkPdf } from "../extractors/pdf.js";
+import { ExtractionError } from "../extractors/shared.js";
+import { readStoredFile } from "../storage/index.js";
+import RejectedUpload from "../../models/RejectedUpload.js";
+import logger from "../../config/logger.js";
+import { discardUpload } from "../../config/multer.config.js";
+import { AppError } from "../../utils/errors.js";
+
+// Zip bomb limits for OOXML packages
+const MAX_ZIP_ENTRIES = 10000;
+const MAX_DECLARED_SIZE = 300 * 1024 * 1024;
+const MAX_COMPRESSION_RATIO = 200;
+// Decompressed size allowed for the XML parts the extractors read, in total
+const MAX_XML_SIZE = 100 * 1024 * 1024;
+
+// Main part each OOXML type must contain
+const OOXML_MAIN_PARTS = {
+  docx: "word/document.xml",
+  pptx: "ppt/presentation.xml"
+};
+
+const MACRO_PARTS = /(^|\/)(vbaProject\.bin|vbaData\.xml)$/i;
+const XML_PARTS = /\.(xml|rels)$/i;
+
+/**
+ * Build a rejection
+ * @param {String} code - One of REJECTION_REASONS (models/RejectedUpload.js)
+ * @param {String} message - Message shown to the user
+ * @returns {Object} { code, message }
+ */
+const reject = (code, message) => ({ code, message });
+
+/**
+ * Whether an OLE compound file contains a stream or storage with this name
+ * (directory entry names are UTF-16LE)
+ * @param {Buffer} buffer - File contents
+ * @param {String} name - Entry name
+ * @returns {Boolean} Found
+ */
+const hasOleEntry = (buffer, name) => buffer.includes(Buffer.from(name, "utf16le"));
+
+/**
+ * Check an OOXML package (docx, pptx) for its main part, macros and
+ * zip bomb traits. The XML parts are really decompressed, under a size
+ * budget, since the sizes an archive declares can lie.
+ * @param {Buffer} buffer - File contents
+ * @param {String} kind - "docx" | "pptx"
+ * @returns {Object|null} Rejection, or null when the package is acceptable
+ */
+const inspectOoxml = (buffer, kind) => {
+  const zip = readZipEntries(buffer);
+  if (!zip) {
+    return reject("MALFORMED_DOCUMENT", "This file is damaged or not a valid Office document");
+  }
+
+  const { entries } = zip;
+  const declaredSize = entries.reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+  const compressedSize = entries.reduce((sum, entry) => sum + entry.compressedSize, 0);
+
+  if (
+    zip.zip64 ||
+    entries.length > MAX_ZIP_ENTRIES ||
+    declaredSize > MAX_DECLARED_SIZE ||
+    declaredSize > Math.max(compressedSize, 1) * MAX_COMPRESSION_RATIO
+  ) {
+    return reject("SUSPICIOUS_ARCHIVE", "This file expands to an unreasonable size and was rejected");
+  }
+
+  const names = new Set(entries.map((entry) => entry.name));
+  if (!names.has("[Content_Types].xml")) {
+    return reject("MALFORMED_DOCUMENT", "This file is damaged or not a valid Office document");
+  }
+  if (!names.has(OOXML_MAIN_PARTS[kind])) {
+    return reject("FILE_TYPE_MISMATCH", `The file content is not a .${kind} document`);
+  }
+  if (entries.some((entry) => MACRO_PARTS.test(entry.name))) {
+    return reject("MACRO_CONTENT", "Documents containing macros are not accepted. Please save it without macros");
+  }
+
+  let budget = MAX_XML_SIZE;
+  try {
+    entries.filter((entry) => XML_PARTS.test(entry.name)).forEach((entry) => {
+      budget -= readZipEntry(buffer, entry, budget).length;
+    });
+  } catch (error) {
+    return error instanceof RangeError
+      ? reject("SUSPICIOUS_ARCHIVE", "This file expands to an unreasonable size and was rejected")
+      : reject("MALFORMED_DOCUMENT", "This file is damaged or not a valid Office document");
+  }
+
+  return null;
+};
+
+/**
+ * Check that a file's content matches its declared type and is safe to
+ * store and process
+ * @param {Buffer} buffer - File contents
+ * @param {String} mimeType - Declared MIME type
+ * @returns {Promise<Object|null>} Rejection ({ code, message, detectedKind }), or null
+ */
+export const inspectUpload = async (buffer, mimeType) => {
+  const expected = EXPECTED_KINDS[mimeType];
+  const detectedKind = detectFileKind(buffer);
+  const withKind = (rejection) => rejection && { ...rejection, detectedKind };
+
+  // Password protected Office files are OLE containers around the encrypted package
+  if (detectedKind === "ole" && hasOleEntry(buffer, "EncryptedPackage")) {
+    return withKind(reject("ENCRYPTED_DOCUMENT", "This document is password protected"));
+  }
+
+  const container = OOXML_MAIN_PARTS[expected] ? "zip" : expected;
+  if (!expected || detectedKind !== container) {
+    return withKind(reject("FILE_TYPE_MISMATCH", "The file content does not match its type"));
+  }
+
+  if (OOXML_MAIN_PARTS[expected]) {
+    return withKind(inspectOoxml(buffer, expected));
+  }
+
+  if (expected === "ole" && hasOleEntry(buffer, "_VBA_PROJECT")) {
+    return withKind(reject("MACRO_CONTENT", "Documents containing macros are not accepted. Please save it without macros"));
+  }
+
+  if (expected === "pdf") {
+    try {
+      await checkPdf(buffer);
+    } catch (error) {
+      if (!(error instanceof ExtractionError)) throw error;
+      return withKind(reject(error.code, error.message));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Inspect an uploaded file and, when a scanner is configured, scan it for
+ * malware. Throws if the scanner cannot give an answer.
+ * @param {Object} file - Uploaded file (req.file)
+ * @returns {Promise<Object|null>} Rejection ({ code, message, detectedKind, threat }), or null
+ */
+export const checkUpload = async (file) => {
+  const buffer = await readStoredFile(file.key);
+
+  const rejection = await inspectUpload(buffer, file.mimetype);
+  if (rejection) return rejection;
+
+  const scan = getScanner();
+  if (scan) {
+    const { clean, threat } = await scan(buffer);
+    if (!clean) {
+      return { ...reject("MALWARE_DETECTED", "This file was flagged as malicious and rejected"), threat };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a stored upload; a rejected file is deleted and the reason recorded
+ * @param {Object} file - Uploaded file ({ key, fieldname, originalname, mimetype, size })
+ * @param {Object} options - { userId } of the uploader, if signed in
+ * @returns {Promise<Object|null>} Rejection ({ code, message, ... }), or null when accepted
+ * @throws {AppError} SCANNER_UNAVAILABLE when the file could not be checked
+ */
+export const screenUpload = async (file, { userId = null } = {}) => {
+  let rejection;
+  try {
+    rejection = await checkUpload(file);
+  } catch (error) {
+    logger.error(`Scanning upload ${file.key} failed: ${error.message}`);
+    throw new AppError("Uploads cannot be checked right now, please try again later", {
+      statusCode: 503,
+      code: "SCANNER_UNAVAILABLE"
+    });
+  }
+
+  if (!rejection) return null;
+
+  await discardUpload(file);
+  logger.warn(`Rejected upload ${file.key} (${file.mimetype}): ${rejection.code}${rejection.threat ? ` ${rejection.threat}` : ""}`);
+
+  try {
+    await RejectedUpload.create({
+      userId,
+      field: file.fieldname,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      fileSize: file.size,
+      detectedKind: rejection.detectedKind || null,
+      reason: rejection.code,
+      message: rejection.message,
+      threat: rejection.threat || null
+    });
+  } catch (error) {
+    logger.error(`Recording rejected upload ${file.key} failed: ${error.message}`);
+  }
+
+  return rejection;
+};
@@ -0,0 +1,84 @@
+import net from "net";
+
+// Bytes sent per INSTREAM chunk
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scan a buffer with a clamd daemon over its INSTREAM command.
+ * clamd's StreamMaxLength must be at least the largest upload size.
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { host, port, socketPath, timeout }
+ * @returns {Promise<Object>} { clean, threat }
+ */
+const scanWithClamav = (buffer, { host, port, socketPath, timeout }) =>
+  new Promise((resolve, reject) => {
+    const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    let reply = "";
+
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`ClamAV did not answer within ${timeout}ms`)));
+    socket.on("error", reject);
+    socket.on("data", (data) => {
+      reply += data.toString();
+    });
+    socket.on("end", () => {
+      // "stream: OK", "stream: <signature> FOUND" or "<reason> ERROR"
+      const result = reply.replace(/\0/g, "").trim();
+      if (result.endsWith("OK")) {
+        resolve({ clean: true, threat: null });
+      } else if (result.endsWith("FOUND")) {
+        resolve({ clean: false, threat: result.replace(/^stream:\s*/, "").replace(/\s*FOUND$/, "") });
+      } else {
+        reject(new Error(`ClamAV error: ${result || "empty reply"}`));
+      }
+    });
+
+    socket.on("connect", () => {
+      socket.write("zINSTREAM\0");
+      for (let offset = 0; offset < buffer.length; offset += CLAMAV_CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        socket.write(length);
+        socket.write(chunk);
+      }
+      socket.end(Buffer.alloc(4));
+    });
+  });
+
+/**
+ * A scanner checks one file: async (buffer) => { clean, threat }
+ * and throws when it cannot give an answer. UPLOAD_SCANNER picks one of:
+ *   clamav - clamd at CLAMAV_SOCKET, or CLAMAV_HOST / CLAMAV_PORT (default 127.0.0.1:3310);
+ *            CLAMAV_TIMEOUT_MS (default 30000)
+ *   none   - no malware scan (default)
+ */
+const SCANNERS = {
+  clamav: () => {
+    const options = {
+      host: process.env.CLAMAV_HOST || "127.0.0.1",
+      port: Number(process.env.CLAMAV_PORT) || 3310,
+      socketPath: process.env.CLAMAV_SOCKET,
+      timeout: Number(process.env.CLAMAV_TIMEOUT_MS) || 30000
+    };
+    return (buffer) => scanWithClamav(buffer, options);
+  },
+
+  none: () => null
+};
+
+let scanner;
+
+/**
+ * Get the configured malware scanner
+ * @returns {Function|null} Scanner, or null when scanning is off
+ */
+export const getScanner = () => {
+  if (scanner === undefined) {
+    const name = process.env.UPLOAD_SCANNER || "none";
+    if (!SCANNERS[name]) {
+      throw new Error(`Unknown UPLOAD_SCANNER "${name}". Expected one of: ${Object.keys(SCANNERS).join(", ")}`);
+    }
+    scanner = SCANNERS[name]();
+  }
+  return scanner;
+};
@@ -0,0 +1,66 @@
+// Magic bytes of the container formats we accept, checked at offset 0
+const SIGNATURES = [
+  { kind: "zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { kind: "ole", bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { kind: "png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { kind: "jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { kind: "gif", bytes: [0x47, 0x49, 0x46, 0x38] }
+];
+
+// PDF readers accept the header anywhere in the first 1024 bytes
+const PDF_HEADER_WINDOW = 1024;
+// Bytes looked at to decide whether a file is text
+const TEXT_SAMPLE_SIZE = 8192;
+
+/**
+ * Kind of content each accepted MIME type must contain.
+ * docx and pptx are zip packages told apart by their main part.
+ */
+export const EXPECTED_KINDS = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": "pptx",
+  "application/msword": "ole",
+  "application/vnd.ms-powerpoint": "ole",
+  "text/plain": "text",
+  "image/jpeg": "jpeg",
+  "image/jpg": "jpeg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp"
+};
+
+/**
+ * Whether a sample of a file looks like text: no NUL bytes unless it
+ * starts with a UTF-16 byte order mark
+ * @param {Buffer} sample - Start of the file
+ * @returns {Boolean} Looks like text
+ */
+const looksLikeText = (sample) => {
+  const utf16 = (sample[0] === 0xff && sample[1] === 0xfe) || (sample[0] === 0xfe && sample[1] === 0xff);
+  return utf16 || !sample.includes(0);
+};
+
+/**
+ * Detect the kind of a file from its content
+ * @param {Buffer} buffer - File contents
+ * @returns {String|null} "pdf" | "zip" | "ole" | "png" | "jpeg" | "gif" | "webp" | "text", or null
+ */
+export const detectFileKind = (buffer) => {
+  const signature = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  if (signature) return signature.kind;
+
+  if (buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") {
+    return "webp";
+  }
+
+  if (buffer.subarray(0, PDF_HEADER_WINDOW).includes("%PDF-")) {
+    return "pdf";
+  }
+
+  if (buffer.length && looksLikeText(buffer.subarray(0, TEXT_SAMPLE_SIZE))) {
+    return "text";
+  }
+
+  return null;
+};
@@ -0,0 +1,95 @@
+import zlib from "zlib";
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+// End record (22 bytes) plus the longest possible archive comment
+const END_SEARCH_WINDOW = 22 + 0xffff;
+// Value of a size or count field whose real value lives in a ZIP64 record
+const ZIP64_MARKER = 0xffffffff;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Read the entry list of a zip archive from its central directory, without
+ * decompressing anything. Sizes are the ones the archive declares.
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Object|null} { entries: [{ name, method, compressedSize, uncompressedSize, localHeaderOffset }], zip64 }, or null if unreadable
+ */
+export const readZipEntries = (buffer) => {
+  const searchFrom = Math.max(0, buffer.length - END_SEARCH_WINDOW);
+  let end = -1;
+  for (let i = buffer.length - 22; i >= searchFrom; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+  const zip64 = entryCount === 0xffff || directoryOffset === ZIP64_MARKER;
+  if (zip64) return { entries: [], zip64 };
+
+  const entries = [];
+  let offset = directoryOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      return null;
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+
+    if (compressedSize === ZIP64_MARKER || uncompressedSize === ZIP64_MARKER) {
+      return { entries, zip64: true };
+    }
+
+    entries.push({
+      name: buffer.toString("utf8", offset + 46, offset + 46 + nameLength),
+      method,
+      compressedSize,
+      uncompressedSize,
+      localHeaderOffset
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return { entries, zip64: false };
+};
+
+/**
+ * Decompress one entry, failing once it grows past `maxSize` bytes,
+ * whatever size the archive declared for it
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} entry - Entry from readZipEntries
+ * @param {Number} maxSize - Largest accepted decompressed size
+ * @returns {Buffer} Entry contents
+ * @throws {RangeError} When the entry is larger than `maxSize`
+ * @throws {Error} When the entry cannot be read
+ */
+export const readZipEntry = (buffer, entry, maxSize) => {
+  const header = entry.localHeaderOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Missing local header for ${entry.name}`);
+  }
+
+  const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === STORED) {
+    if (data.length > maxSize) throw new RangeError(`${entry.name} is too large`);
+    return data;
+  }
+  if (entry.method === DEFLATED) {
+    return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, maxSize) });
+  }
+  throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+};
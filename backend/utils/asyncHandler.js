@@ -0,0 +1,11 @@
+// utils/asyncHandler.js
+
+/**
+ * Wrap an async route handler so anything it throws reaches the error
+ * handler, and controllers can throw AppErrors instead of building responses
+ * @param {Function} fn - async (req, res, next) => void
+ * @returns {Function} Express handler
+ */
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+export default asyncHandler;
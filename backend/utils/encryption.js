@@ -0,0 +1,36 @@
+// utils/encryption.js
+import crypto from "crypto";
+
+/**
+ * Key for secrets stored in the database, from SECRETS_ENCRYPTION_KEY
+ * (falls back to JWT_SECRET so development works without extra setup)
+ * @returns {Buffer} 256-bit key
+ */
+const getKey = () =>
+  crypto.createHash("sha256").update(process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+/**
+ * Encrypt a secret with AES-256-GCM
+ * @param {String} plaintext - Secret
+ * @returns {String} "iv.tag.ciphertext", base64url encoded
+ */
+export const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64url")).join(".");
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {String} payload - "iv.tag.ciphertext"
+ * @returns {String} Secret
+ */
+export const decryptSecret = (payload) => {
+  const [iv, tag, ciphertext] = payload.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
@@ -0,0 +1,55 @@
+// utils/errors.js
+// Errors a request handler can throw. The error handler turns them into
+//   { success: false, message, code, details? }
+// with the status code of the class. `code` is machine-readable and stable;
+// `message` is for people and may change.
+
+export class AppError extends Error {
+  /**
+   * @param {String} message - Human readable message
+   * @param {Object} options - { statusCode, code, details }
+   */
+  constructor(message, { statusCode = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = "Validation failed", { code = "VALIDATION_ERROR", details } = {}) {
+    super(message, { statusCode: 400, code, details });
+  }
+}
+
+export class AuthError extends AppError {
+  constructor(message = "Authentication required", { code = "UNAUTHORIZED", details } = {}) {
+    super(message, { statusCode: 401, code, details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "You do not have permission to perform this action", { code = "FORBIDDEN", details } = {}) {
+    super(message, { statusCode: 403, code, details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Resource not found", { code = "NOT_FOUND", details } = {}) {
+    super(message, { statusCode: 404, code, details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", { code = "CONFLICT", details } = {}) {
+    super(message, { statusCode: 409, code, details });
+  }
+}
+
+export class UpstreamAIError extends AppError {
+  constructor(message = "The AI service returned an unusable response, please try again", { statusCode = 502, code = "AI_UPSTREAM_ERROR", details } = {}) {
+    super(message, { statusCode, code, details });
+  }
+}
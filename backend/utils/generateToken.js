@@ -1,6 +1,44 @@
 // utils/generateToken.js
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
 export const generateToken = (payload, expiresIn = "1h") => {
   return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 };
+
+/**
+ * Sign a single-purpose token (email verification, password reset...).
+ * The purpose is the token audience, so a token for one action is
+ * rejected by every other.
+ * @param {String} purpose - e.g. "verify-email"
+ * @param {Object} payload - Claims
+ * @param {String|Number} expiresIn - Lifetime
+ * @returns {String} Signed token
+ */
+export const generateActionToken = (purpose, payload, expiresIn) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn, audience: purpose });
+};
+
+/**
+ * Verify a single-purpose token
+ * @param {String} purpose - Expected purpose
+ * @param {String} token - Token
+ * @returns {Object|null} Claims, or null if invalid or expired
+ */
+export const verifyActionToken = (purpose, token) => {
+  try {
+    return jwt.verify(String(token || ""), process.env.JWT_SECRET, { audience: purpose });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Short fingerprint of a value (e.g. a password hash) to embed in a token,
+ * so the token stops working once the value changes
+ * @param {String} value - Value
+ * @returns {String} Fingerprint
+ */
+export const fingerprint = (value) => {
+  return crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 16);
+};
@@ -0,0 +1,37 @@
+// utils/passwordPolicy.js
+// The one password policy, used wherever a password is chosen
+import { body } from "express-validator";
+
+export const PASSWORD_MIN_LENGTH = 8;
+export const PASSWORD_MAX_LENGTH = 30;
+
+const PASSWORD_RULES = [
+  { test: (password) => password.length >= PASSWORD_MIN_LENGTH, message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long` },
+  { test: (password) => password.length <= PASSWORD_MAX_LENGTH, message: `Password must be at most ${PASSWORD_MAX_LENGTH} characters long` },
+  { test: (password) => /[A-Z]/.test(password), message: "Password must contain at least one uppercase letter" },
+  { test: (password) => /[a-z]/.test(password), message: "Password must contain at least one lowercase letter" },
+  { test: (password) => /\d/.test(password), message: "Password must contain at least one number" },
+  { test: (password) => /[@$!%*?&]/.test(password), message: "Password must contain at least one special character (@$!%*?&)" }
+];
+
+/**
+ * List the policy rules a password breaks
+ * @param {String} password - Candidate password
+ * @returns {Array<String>} Messages, empty when the password is acceptable
+ */
+export const checkPassword = (password) =>
+  typeof password === "string"
+    ? PASSWORD_RULES.filter((rule) => !rule.test(password)).map((rule) => rule.message)
+    : ["Password is required"];
+
+/**
+ * express-validator chain enforcing the policy on a body field
+ * @param {String} field - Body field holding the new password
+ * @returns {Object} Validation chain
+ */
+export const passwordField = (field) =>
+  body(field).custom((value) => {
+    const problems = checkPassword(value);
+    if (problems.length) throw new Error(problems[0]);
+    return true;
+  });
@@ -0,0 +1,102 @@
+// utils/session.js
+import crypto from "crypto";
+import Session from "../models/Session.js";
+import { generateToken } from "./generateToken.js";
+
+export const ACCESS_TOKEN_TTL_MS = (Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60 * 1000;
+export const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {String} secret - Token secret
+ * @returns {String} SHA-256 hex digest
+ */
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+/**
+ * Build the tokens of a session. Refresh tokens are "<sessionId>.<secret>".
+ * @param {Object} session - Session document
+ * @param {String} secret - Refresh token secret
+ * @returns {Object} { accessToken, refreshToken }
+ */
+const issueTokens = (session, secret) => ({
+  accessToken: generateToken({ id: session.userId, sid: session._id }, ACCESS_TOKEN_TTL_MS / 1000),
+  refreshToken: `${session._id}.${secret}`
+});
+
+/**
+ * Open a new device session for a user
+ * @param {String} userId - User ID
+ * @param {Object} req - Express request (for device details)
+ * @returns {Promise<Object>} { session, accessToken, refreshToken }
+ */
+export const createSession = async (userId, req) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req.get("user-agent") || null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, ...issueTokens(session, secret) };
+};
+
+/**
+ * Exchange a refresh token for new tokens, rotating the refresh token.
+ * Presenting an already rotated token revokes the session, since it means
+ * the token was copied.
+ * @param {String} refreshToken - Refresh token
+ * @param {Object} req - Express request (for device details)
+ * @returns {Promise<Object|null>} { session, accessToken, refreshToken }, or null if invalid
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId).select("+refreshTokenHash");
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  if (session.refreshTokenHash !== hashSecret(secret)) {
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString("hex");
+  session.refreshTokenHash = hashSecret(nextSecret);
+  session.lastUsedAt = new Date();
+  session.userAgent = req.get("user-agent") || session.userAgent;
+  session.ip = req.ip || session.ip;
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  await session.save();
+
+  return { session, ...issueTokens(session, nextSecret) };
+};
+
+/**
+ * Revoke sessions of a user
+ * @param {String} userId - User ID
+ * @param {Object} options - { sessionId: revoke only this one, exceptSessionId: keep this one }
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+export const revokeSessions = async (userId, { sessionId, exceptSessionId } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (sessionId) filter._id = sessionId;
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const { modifiedCount } = await Session.updateMany(filter, { revokedAt: new Date() });
+  return modifiedCount;
+};
+
+/**
+ * Check that a session is still active
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Boolean>} Whether the session is active
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select("revokedAt expiresAt");
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+};
@@ -0,0 +1,119 @@
+// utils/textChunker.js
+
+const DEFAULT_OPTIONS = {
+  chunkSize: 1000, // target characters per chunk
+  overlap: 150     // characters repeated from the end of the previous chunk
+};
+
+/**
+ * Split a paragraph into sentences
+ * @param {String} text - Paragraph text
+ * @returns {Array<String>} Sentences
+ */
+const splitSentences = (text) =>
+  text.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g)?.map((sentence) => sentence.trim()).filter(Boolean) || [text];
+
+/**
+ * Break a block into units no longer than `chunkSize`, on sentence
+ * boundaries where possible and on word boundaries otherwise.
+ * @param {Object} block - Extractor block
+ * @param {Number} chunkSize - Maximum unit length
+ * @returns {Array<Object>} Units ({ text, pageNumber, slideNumber })
+ */
+const toUnits = (block, chunkSize) => {
+  const text = block.text.replace(/\s+/g, " ").trim();
+  const location = { pageNumber: block.pageNumber ?? null, slideNumber: block.slideNumber ?? null };
+
+  if (text.length <= chunkSize) return text ? [{ text, ...location }] : [];
+
+  return splitSentences(text).flatMap((sentence) => {
+    if (sentence.length <= chunkSize) return [{ text: sentence, ...location }];
+
+    const pieces = [];
+    let piece = "";
+    sentence.split(" ").forEach((word) => {
+      if (piece && piece.length + word.length + 1 > chunkSize) {
+        pieces.push({ text: piece, ...location });
+        piece = "";
+      }
+      piece = piece ? `${piece} ${word}` : word;
+    });
+    if (piece) pieces.push({ text: piece, ...location });
+    return pieces;
+  });
+};
+
+/**
+ * Group extracted blocks into overlapping, heading-aware chunks.
+ *
+ * A heading always starts a new chunk, and every chunk records the heading
+ * path it belongs to. Inside a section, consecutive chunks share up to
+ * `overlap` characters so a fact split across a boundary is still
+ * retrievable. Chunk indices are positional, so the same extraction always
+ * produces the same indices.
+ * @param {Array<Object>} blocks - Extractor blocks ({ type, text, level, pageNumber, slideNumber })
+ * @param {Object} options - { chunkSize, overlap }
+ * @returns {Array<Object>} Chunks ({ content, chunkIndex, heading, pageNumber, slideNumber })
+ */
+export const chunkBlocks = (blocks, options = {}) => {
+  const { chunkSize, overlap } = { ...DEFAULT_OPTIONS, ...options };
+  const chunks = [];
+  const headingPath = [];
+  let units = [];
+  let length = 0;
+  // Number of leading units in `units` carried over from the previous chunk
+  let carried = 0;
+
+  const flush = () => {
+    if (units.length > carried) {
+      chunks.push({
+        content: units.map((unit) => unit.text).join(" "),
+        chunkIndex: chunks.length,
+        heading: headingPath.filter(Boolean).join(" > ") || null,
+        pageNumber: units[0].pageNumber,
+        slideNumber: units[0].slideNumber
+      });
+    }
+  };
+
+  const startChunk = (withOverlap) => {
+    const tail = [];
+    let tailLength = 0;
+
+    if (withOverlap) {
+      for (let i = units.length - 1; i >= 0; i--) {
+        if (tailLength + units[i].text.length > overlap) break;
+        tail.unshift(units[i]);
+        tailLength += units[i].text.length + 1;
+      }
+    }
+
+    units = tail;
+    length = tailLength;
+    carried = tail.length;
+  };
+
+  blocks.forEach((block) => {
+    if (block.type === "heading") {
+      flush();
+      startChunk(false);
+
+      const level = Math.max(1, block.level || 1);
+      headingPath.length = level - 1;
+      headingPath[level - 1] = block.text.trim();
+      return;
+    }
+
+    toUnits(block, chunkSize).forEach((unit) => {
+      if (units.length > carried && length + unit.text.length + 1 > chunkSize) {
+        flush();
+        startChunk(true);
+      }
+      units.push(unit);
+      length += unit.text.length + 1;
+    });
+  });
+
+  flush();
+  return chunks;
+};
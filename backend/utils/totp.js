@@ -0,0 +1,121 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32, the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = "";
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {String} value - Base32 string
+ * @returns {Buffer} Bytes
+ */
+const base32Decode = (value) => {
+  let bits = "";
+  value.toUpperCase().replace(/[\s=]/g, "").split("").forEach((char) => {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    bits += index.toString(2).padStart(5, "0");
+  });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32 secret (160 bits)
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the code for one time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step (Unix seconds / 30)
+ * @returns {String} Zero-padded code
+ */
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Current time step
+ * @param {Number} now - Timestamp in milliseconds
+ * @returns {Number} Time step
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the current code for a secret
+ * @param {String} secret - Base32 secret
+ * @param {Number} now - Timestamp in milliseconds
+ * @returns {String} Code
+ */
+export const generateTotp = (secret, now = Date.now()) => codeForStep(secret, currentStep(now));
+
+/**
+ * Check a code, allowing one step of clock drift either way
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - { now, window }
+ * @returns {Number|null} Matched time step (to reject replays), or null
+ */
+export const verifyTotp = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = codeForStep(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {String} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
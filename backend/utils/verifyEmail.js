@@ -1,4 +1,4 @@
-import User from "../models/user.js";
+import User from "../models/User.js";
 export const verifyEmail=async(email)=>{
     const existUser=await User.findOne({email})
     return !!existUser;
@@ -0,0 +1,41 @@
+/**
+ * AI Learning Platform - Background Worker Entry Point
+ *
+ * Runs queued jobs (document processing, summaries, quiz and flashcard
+ * generation) outside the API process. Start as many as needed:
+ *
+ *   npm run worker
+ *
+ * JOB_CONCURRENCY sets how many jobs one worker runs at once.
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+// Config & Database
+import connectDB from "./config/db.js";
+import logger from "./config/logger.js";
+import { startWorker } from "./services/jobs/index.js";
+
+// Environment setup
+dotenv.config();
+
+await connectDB();
+
+const worker = startWorker();
+
+/**
+ * Let running jobs finish, then exit. Jobs cut off by a second signal are
+ * picked up again by another worker once their lock expires.
+ */
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, waiting for running jobs to finish`);
+  process.once(signal, () => process.exit(1));
+
+  await worker.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.once("SIGINT", () => shutdown("SIGINT"));
+process.once("SIGTERM", () => shutdown("SIGTERM"));
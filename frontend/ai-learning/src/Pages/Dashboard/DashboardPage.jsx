@@ -1,12 +1,142 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiFetch } from '../../utils/api';
+import { ScoreTrendChart, AccuracyChart, ActivityChart } from '../../components/Dashboard/Charts';
+
+const RANGES = [7, 30, 90];
+
+const StatCard = ({ label, value, hint }) => (
+  <div className="bg-white p-5 rounded shadow">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className="text-3xl font-bold mt-1">{value}</p>
+    {hint && <p className="text-xs text-gray-400 mt-1">{hint}</p>}
+  </div>
+);
+
+const Panel = ({ title, children }) => (
+  <section className="bg-white p-5 rounded shadow">
+    <h2 className="text-lg font-semibold mb-4">{title}</h2>
+    {children}
+  </section>
+);
 
 const DashboardPage = () => {
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const params = new URLSearchParams({ days: String(days), timezone });
+
+    apiFetch(`/api/dashboard/stats?${params}`)
+      .then((data) => {
+        if (!ignore) {
+          setStats(data);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!ignore) setError(err.message);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [days]);
+
+  if (error) {
+    return (
+      <div className="p-8">
+        <h1 className="text-3xl font-bold mb-4">Dashboard</h1>
+        <p className="text-red-600">Could not load your progress: {error}</p>
+      </div>
+    );
+  }
+
+  if (!stats) {
+    return <p className="p-8">Loading...</p>;
+  }
+
+  const { documents, quizzes, flashcards, streak } = stats;
+
   return (
-    <div className="p-8">
-      <h1 className="text-3xl font-bold mb-4">Dashboard</h1>
-      <p>Welcome to your AI Learning Platform dashboard!</p>
+    <div className="p-8 bg-gray-100 min-h-screen space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold">Dashboard</h1>
+          <p className="text-gray-600">
+            {streak.current
+              ? `You're on a ${streak.current}-day study streak. Keep it going!`
+              : 'Study today to start a new streak.'}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {RANGES.map((range) => (
+            <button
+              key={range}
+              type="button"
+              onClick={() => setDays(range)}
+              className={`px-3 py-1 rounded border ${days === range ? 'bg-blue-600 text-white border-blue-600' : 'bg-white'}`}
+            >
+              {range} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatCard label="Documents studied" value={documents.studied} hint={`of ${documents.total} uploaded`} />
+        <StatCard
+          label="Average quiz score"
+          value={quizzes.averageScore === null ? '-' : `${quizzes.averageScore}%`}
+          hint={`${quizzes.attempts} attempt${quizzes.attempts === 1 ? '' : 's'}`}
+        />
+        <StatCard
+          label="Cards due today"
+          value={flashcards.dueToday + flashcards.newCards}
+          hint={`${flashcards.newCards} new, ${flashcards.reviewedToday} reviewed today`}
+        />
+        <StatCard label="Study streak" value={`${streak.current} d`} hint={`Longest: ${streak.longest} days`} />
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        <Panel title="Quiz scores">
+          <ScoreTrendChart trend={stats.scoreTrend} from={stats.range.from} to={stats.range.to} />
+        </Panel>
+        <Panel title="Accuracy by difficulty">
+          <AccuracyChart accuracy={stats.accuracyByDifficulty} />
+        </Panel>
+      </div>
+
+      <Panel title={`Activity (${flashcards.reviewedInRange} cards reviewed in the last ${stats.range.days} days)`}>
+        <ActivityChart activity={stats.activity} />
+      </Panel>
+
+      <Panel title="Topics to review">
+        {stats.weakTopics.length ? (
+          <ul className="divide-y">
+            {stats.weakTopics.map((topic) => (
+              <li key={`${topic.documentId}-${topic.topic}`} className="py-3 flex items-center justify-between gap-4">
+                <div>
+                  <p className="font-medium">{topic.topic}</p>
+                  <Link to={`/documents/${topic.documentId}`} className="text-sm text-blue-600 hover:underline">
+                    {topic.documentTitle || 'Open document'}
+                  </Link>
+                </div>
+                <span className="text-sm text-gray-600 whitespace-nowrap">
+                  {topic.missed} of {topic.answered} missed ({topic.accuracy}% correct)
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No weak spots yet. Take a few quizzes and missed topics will show up here.</p>
+        )}
+      </Panel>
     </div>
   );
 };
 
-export default DashboardPage;
\ No newline at end of file
+export default DashboardPage;
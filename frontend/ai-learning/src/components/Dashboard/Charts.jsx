@@ -0,0 +1,115 @@
+import React from 'react';
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const EmptyChart = ({ children }) => (
+  <div className="h-48 flex items-center justify-center text-sm text-gray-500">{children}</div>
+);
+
+// Average quiz score per day, on a 0-100 scale
+export const ScoreTrendChart = ({ trend, from, to }) => {
+  if (!trend.length) {
+    return <EmptyChart>Complete a quiz to see your scores here.</EmptyChart>;
+  }
+
+  const width = 600;
+  const height = 200;
+  const padding = 24;
+  const start = new Date(`${from}T00:00:00Z`).getTime();
+  const span = Math.max(new Date(`${to}T00:00:00Z`).getTime() - start, 1);
+  const points = trend.map((entry) => ({
+    ...entry,
+    x: padding + ((new Date(`${entry.date}T00:00:00Z`).getTime() - start) / span) * (width - padding * 2),
+    y: height - padding - (entry.averageScore / 100) * (height - padding * 2),
+  }));
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48" role="img" aria-label="Quiz score trend">
+      {[0, 50, 100].map((score) => {
+        const y = height - padding - (score / 100) * (height - padding * 2);
+        return (
+          <g key={score}>
+            <line x1={padding} x2={width - padding} y1={y} y2={y} className="stroke-gray-200" />
+            <text x={0} y={y + 4} className="fill-gray-400 text-[10px]">{score}</text>
+          </g>
+        );
+      })}
+      <polyline
+        points={points.map(({ x, y }) => `${x},${y}`).join(' ')}
+        fill="none"
+        className="stroke-blue-600"
+        strokeWidth="2"
+      />
+      {points.map((point) => (
+        <circle key={point.date} cx={point.x} cy={point.y} r="4" className="fill-blue-600">
+          <title>{`${formatDay(point.date)}: ${point.averageScore}% (${point.attempts} attempt${point.attempts === 1 ? '' : 's'})`}</title>
+        </circle>
+      ))}
+      <text x={padding} y={height - 4} className="fill-gray-400 text-[10px]">{formatDay(from)}</text>
+      <text x={width - padding} y={height - 4} textAnchor="end" className="fill-gray-400 text-[10px]">{formatDay(to)}</text>
+    </svg>
+  );
+};
+
+const ACCURACY_COLORS = { easy: 'bg-green-500', medium: 'bg-yellow-500', hard: 'bg-red-500' };
+
+// Share of correct answers per question difficulty
+export const AccuracyChart = ({ accuracy }) => {
+  if (!accuracy.some((entry) => entry.answered)) {
+    return <EmptyChart>No answered questions yet.</EmptyChart>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {accuracy.map((entry) => (
+        <div key={entry.difficulty}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="capitalize">{entry.difficulty}</span>
+            <span className="text-gray-500">
+              {entry.accuracy === null ? 'No answers' : `${entry.accuracy}% of ${entry.answered}`}
+            </span>
+          </div>
+          <div className="h-3 bg-gray-100 rounded">
+            <div
+              className={`h-3 rounded ${ACCURACY_COLORS[entry.difficulty] || 'bg-blue-500'}`}
+              style={{ width: `${entry.accuracy || 0}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Quiz attempts and card reviews per day; days with any study are highlighted
+export const ActivityChart = ({ activity }) => {
+  const max = Math.max(1, ...activity.map((day) => day.quizAttempts + day.cardsReviewed));
+
+  return (
+    <div>
+      <div className="flex items-end gap-px h-32">
+        {activity.map((day) => (
+          <div
+            key={day.date}
+            className="flex-1 flex flex-col justify-end h-full"
+            title={`${formatDay(day.date)}: ${day.quizAttempts} quiz attempt(s), ${day.cardsReviewed} card(s) reviewed`}
+          >
+            {day.cardsReviewed > 0 && (
+              <div className="bg-purple-400" style={{ height: `${(day.cardsReviewed / max) * 100}%` }} />
+            )}
+            {day.quizAttempts > 0 && (
+              <div className="bg-blue-600" style={{ height: `${(day.quizAttempts / max) * 100}%` }} />
+            )}
+            <div className={`h-1 mt-px ${day.active ? 'bg-green-500' : 'bg-gray-100'}`} />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-4 mt-3 text-xs text-gray-500">
+        <span><span className="inline-block w-3 h-3 bg-blue-600 mr-1 align-middle" />Quiz attempts</span>
+        <span><span className="inline-block w-3 h-3 bg-purple-400 mr-1 align-middle" />Cards reviewed</span>
+        <span><span className="inline-block w-3 h-3 bg-green-500 mr-1 align-middle" />Study day</span>
+      </div>
+    </div>
+  );
+};
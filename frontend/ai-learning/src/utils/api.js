@@ -0,0 +1,20 @@
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+// Calls the backend with the auth cookie and unwraps its { success, message, data } envelope
+export const apiFetch = async (path, options = {}) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    credentials: 'include',
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body?.success) {
+    const error = new Error(body?.message || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = body?.code;
+    throw error;
+  }
+
+  return body.data;
+};